@@ -0,0 +1,211 @@
+/* /pitch-detector.js */
+// Finds the notes sounding in frames of mono PCM (floats, -1..1): one played or sung note, or several from a strummed chord.
+// It only needs sample arrays, so it runs the same on a live AnalyserNode and, offline, on decoded audio/*.mp3 files
+// (browser: window.TriadsPitchDetector; Node: require("./pitch-detector.js")).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TriadsPitchDetector = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  "use strict";
+
+  const DEFAULTS = {
+    sampleRate: 44100,
+    lowMidi: 40, // E2, a guitar's lowest string
+    highMidi: 84, // C6
+    maxNotes: 4,
+    harmonics: 8,
+    toleranceCents: 45,
+    minLevel: 0.005, // RMS below this is treated as silence
+    peakFloorDb: -45, // spectral peaks this far below the loudest one are ignored
+    minProminenceDb: 6, // and so are peaks that barely stand out from the spectrum around them (noise, thumps)
+    minSalience: 0.2, // each further note needs this share of the strongest note's salience
+    minFundamental: 0.05, // a note's own fundamental must reach this share of the loudest peak, so chord "virtual pitches" an octave down are rejected
+  };
+
+  function midiFreq(midi) { return 440 * Math.pow(2, (midi - 69) / 12); }
+  function freqMidi(freq) { return 69 + 12 * Math.log2(freq / 440); }
+
+  // In-place iterative radix-2 FFT; re and im have the same power-of-two length.
+  function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = (-2 * Math.PI) / len; const wr = Math.cos(ang); const wi = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let cr = 1; let ci = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k; const b = a + len / 2;
+          const tr = re[b] * cr - im[b] * ci; const ti = re[b] * ci + im[b] * cr;
+          re[b] = re[a] - tr; im[b] = im[a] - ti; re[a] += tr; im[a] += ti;
+          const nr = cr * wr - ci * wi; ci = cr * wi + ci * wr; cr = nr;
+        }
+      }
+    }
+  }
+
+  function rms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    return frame.length ? Math.sqrt(sum / frame.length) : 0;
+  }
+
+  function createPitchDetector(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const tol = Math.pow(2, opts.toleranceCents / 1200);
+    let frameLen = 0; let fftLen = 0; let win = null; let re = null; let im = null;
+
+    function prepare(n) {
+      if (n === frameLen) return;
+      frameLen = n; fftLen = 1;
+      while (fftLen < n * 2) fftLen <<= 1; // zero-padded x2 for finer peak positions
+      win = new Float64Array(n); re = new Float64Array(fftLen); im = new Float64Array(fftLen);
+      for (let i = 0; i < n; i++) win[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+    }
+
+    // Local maxima of the magnitude spectrum, with parabolic interpolation for their frequency.
+    function spectrumPeaks(frame) {
+      prepare(frame.length);
+      re.fill(0); im.fill(0);
+      let mean = 0;
+      for (let i = 0; i < frameLen; i++) mean += frame[i];
+      mean /= frameLen;
+      for (let i = 0; i < frameLen; i++) re[i] = (frame[i] - mean) * win[i];
+      fft(re, im);
+      const binHz = opts.sampleRate / fftLen;
+      const lo = Math.max(2, Math.floor((midiFreq(opts.lowMidi) / tol) / binHz));
+      const hi = Math.min(fftLen / 2 - 2, Math.ceil((midiFreq(opts.highMidi) * opts.harmonics * tol) / binHz));
+      const mag = new Float64Array(hi + 2);
+      let loudest = 0;
+      for (let k = lo - 1; k <= hi + 1; k++) { mag[k] = Math.hypot(re[k], im[k]); if (k >= lo && k <= hi) loudest = Math.max(loudest, mag[k]); }
+      const floor = loudest * Math.pow(10, opts.peakFloorDb / 20);
+      const prominence = Math.pow(10, opts.minProminenceDb / 20);
+      const reach = Math.round(fftLen / frameLen) * 3; // a windowed sine's main lobe is 2 bins wide either side, before padding
+      const peaks = [];
+      for (let k = lo; k <= hi; k++) {
+        const m = mag[k];
+        if (m < floor || m <= mag[k - 1] || m < mag[k + 1]) continue;
+        if (m < prominence * Math.min(mag[Math.max(0, k - reach)], mag[Math.min(hi + 1, k + reach)])) continue;
+        const a = Math.log(mag[k - 1] + 1e-12); const b = Math.log(m); const c = Math.log(mag[k + 1] + 1e-12);
+        const d = a - 2 * b + c; const shift = d < 0 ? (0.5 * (a - c)) / d : 0;
+        peaks.push({ freq: (k + shift) * binHz, amp: m });
+      }
+      return { peaks, loudest };
+    }
+
+    function nearestPeak(peaks, freq) {
+      let best = null;
+      for (const p of peaks) {
+        if (p.amp <= 0 || p.freq < freq / tol || p.freq > freq * tol) continue;
+        if (!best || p.amp > best.amp) best = p;
+      }
+      return best;
+    }
+
+    // Harmonic sum: how strongly the peaks support a note at f0. Higher partials count for less.
+    function salience(peaks, f0) {
+      let sum = 0; const matched = [];
+      for (let h = 1; h <= opts.harmonics; h++) {
+        const p = nearestPeak(peaks, f0 * h);
+        if (!p) continue;
+        sum += p.amp / Math.sqrt(h); matched.push({ h, peak: p });
+      }
+      return { sum, matched };
+    }
+
+    // Returns { level, notes: [{ midi, freq, cents, strength }], salience }, strongest note first. salience[midi] is each
+    // candidate's harmonic sum before any note was taken out, for telling new notes from old ones.
+    function analyse(frame) {
+      const level = rms(frame);
+      const raw = new Float64Array(opts.highMidi + 1);
+      if (!frame.length || level < opts.minLevel) return { level, notes: [], salience: raw };
+      const { peaks, loudest } = spectrumPeaks(frame);
+      const notes = []; let first = 0;
+      while (notes.length < opts.maxNotes) {
+        let best = null;
+        for (let midi = opts.lowMidi; midi <= opts.highMidi; midi++) {
+          if (notes.some((n) => n.midi === midi)) continue;
+          const f0 = midiFreq(midi);
+          const fund = nearestPeak(peaks, f0);
+          if (!fund || fund.amp < loudest * opts.minFundamental) continue;
+          const s = salience(peaks, f0);
+          if (!notes.length) raw[midi] = s.sum;
+          if (!best || s.sum > best.sum) best = { midi, ...s };
+        }
+        // Low notes often have a weak fundamental, so their second, third or fourth partial can win: prefer the note below
+        // when it is really sounding, with partials of its own that the upper note lacks (a thump or hum isn't enough).
+        for (const [down, ratio] of [[24, 4], [19, 3], [12, 2]]) {
+          const midi = best?.midi - down; if (!best || midi < opts.lowMidi) continue;
+          if (!nearestPeak(peaks, midiFreq(midi))) continue;
+          const s = salience(peaks, midiFreq(midi));
+          const own = s.matched.reduce((sum, { h, peak }) => (h % ratio ? sum + peak.amp / Math.sqrt(h) : sum), 0);
+          if (s.sum >= best.sum * 0.5 && own >= best.sum * 0.15) { best = { midi, ...s }; break; }
+        }
+        if (!best || best.sum <= 0 || (first && best.sum < first * opts.minSalience)) break;
+        if (!first) first = best.sum;
+        // Estimate the pitch from every partial found, weighted by loudness: a low note's fundamental may be faint or off.
+        const weight = best.matched.reduce((sum, { peak }) => sum + peak.amp, 0);
+        const freq = best.matched.reduce((sum, { h, peak }) => sum + (peak.freq / h) * peak.amp, 0) / weight;
+        const exact = freqMidi(freq); const midi = Math.round(exact);
+        if (!notes.some((n) => n.midi === midi)) notes.push({ midi, freq, cents: Math.round((exact - midi) * 100), strength: best.sum / first });
+        // Take this note's partials out so they aren't heard again as notes. Octaves go entirely (chord tones never share a
+        // pitch class); the rest are only damped, so a chord tone a twelfth or a tenth above the bass is still found.
+        for (const { h, peak } of best.matched) peak.amp = [1, 2, 4, 8].includes(h) ? 0 : peak.amp * 0.3;
+      }
+      return { level, notes, salience: raw };
+    }
+
+    return { analyse, options: opts };
+  }
+
+  // Turns per-frame results into note onsets. A note counts once it has been heard in confirmFrames frames in a row and its
+  // salience has grown onsetRatio times over the last historyFrames frames: a partial that outlasts its fundamental in a
+  // dying piano or guitar note isn't growing, so it isn't taken for a new note. A note can sound again once it has been
+  // absent for releaseFrames frames.
+  function createNoteTracker({ confirmFrames = 4, releaseFrames = 4, historyFrames = 10, onsetRatio = 2 } = {}) {
+    const seen = new Map(); // midi -> { hits, misses, active }
+    const history = []; // recent frames' salience arrays
+    function grown(midi, now) {
+      // Frames before the first one count as silence.
+      const before = history.length < historyFrames ? 0 : Math.min(...history.map((sal) => sal[midi] ?? 0));
+      return (now[midi] ?? 0) >= before * onsetRatio;
+    }
+    function push({ notes = [], salience = [] }) {
+      const onsets = [];
+      for (const n of notes) {
+        const s = seen.get(n.midi) || { hits: 0, misses: 0, active: false };
+        s.hits += 1; s.misses = 0; seen.set(n.midi, s);
+        if (s.active || s.hits < confirmFrames || !grown(n.midi, salience)) continue;
+        s.active = true;
+        // An octave of a note already sounding is that note's own partial (chord tones never share a pitch class).
+        if (![...seen].some(([midi, o]) => o.active && midi !== n.midi && (midi - n.midi) % 12 === 0)) onsets.push(n);
+      }
+      for (const [midi, s] of seen) {
+        if (notes.some((n) => n.midi === midi)) continue;
+        s.misses += 1; s.hits = 0;
+        if (s.misses >= releaseFrames) seen.delete(midi);
+      }
+      history.push(salience); if (history.length > historyFrames) history.shift();
+      return onsets;
+    }
+    function reset() { seen.clear(); history.length = 0; }
+    return { push, reset };
+  }
+
+  // Offline helper: runs a whole recording through the detector and tracker, returning [{ midi, atSec }] in order.
+  function detectNotes(samples, sampleRate, { frameSize = 4096, hopSize = 1024, confirmFrames, releaseFrames, ...options } = {}) {
+    const detector = createPitchDetector({ ...options, sampleRate });
+    const tracker = createNoteTracker({ confirmFrames, releaseFrames });
+    const found = [];
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+      for (const n of tracker.push(detector.analyse(samples.subarray(start, start + frameSize)))) found.push({ midi: n.midi, atSec: (start + frameSize) / sampleRate });
+    }
+    return found;
+  }
+
+  return { createPitchDetector, createNoteTracker, detectNotes, midiFreq, freqMidi };
+});
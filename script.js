@@ -7,6 +7,32 @@
   const FADE_OUT_SEC = 0.12;
   const LIMITER_THRESHOLD_DB = -6;
 
+  // Piano samples exist from c2 to c6; anything else (or a file that fails to load) uses the synth voice.
+  const SAMPLE_LO_PITCH = 2 * 12;
+  const SAMPLE_HI_PITCH = 6 * 12;
+  const SOUND_KEY = "triads_sound";
+  const SOUNDS = { piano: "Piano samples", synth: "Synth" };
+  const PLAYBACK_KEY = "triads_playback";
+  const SESSION_KEY = "triads_session";
+  const SESSION_VERSION = 2;
+  const HIGHSCORES_KEY = "triads_highscores";
+  const HIGHSCORES_PER_CHALLENGE = 20;
+  const HIGHSCORES_SHOWN = 10;
+  const PLAYBACK_TEMPOS = [60, 90, 120, 160];
+  const PRELOAD_CONCURRENCY = 4;
+
+  // Host pages that may embed and drive the quiz. The page's own origin is always allowed; a deployment can add
+  // more without editing this file via <html data-embed-origins="https://lms.example.org https://other.example">.
+  // Only triads:height goes to any parent (it carries no quiz data), so auto-height works on unlisted hosts too.
+  const EMBED_PROTOCOL_VERSION = 1;
+  const EMBED_ALLOWED_ORIGINS = [];
+
+  // Gradebook reporting: a SCORM 1.2 API in a parent or opener window wins. Otherwise xAPI statements go to the LRS named
+  // by the standard launch parameters (?endpoint=&auth=&actor=&registration=&activity_id=) or <html data-xapi-endpoint data-xapi-auth>.
+  const SCORM_SEARCH_DEPTH = 7;
+  const XAPI_VERSION = "1.0.3";
+  const XAPI_LAUNCH_PARAMS = ["endpoint", "auth", "actor", "registration", "activity_id"];
+
   // Reference keyboard at top
   const KBD_START_OCT = 3;
   const KBD_OCTAVES = 3;
@@ -21,16 +47,52 @@
   const Q_KBD_OCTAVES = 2;   
   const Q_KBD_INCLUDE_END_C = true;
 
+  // Microphone input: samples per analysed frame, and how often the analyser is read (about a quarter frame at 48 kHz).
+  const MIC_FRAME_SIZE = 4096;
+  const MIC_POLL_MS = 25;
+
   // Task sheet printed keyboards - reduced to 2
   const TASK_KBD_START_OCT = 3; 
   const TASK_KBD_OCTAVES = 2;
   const TASK_KBD_INCLUDE_END_C = true;
 
+  // Computer-keyboard piano (DAW layout): semitones above the current octave's C; Z/X shift the octave.
+  const QWERTY_NOTE_CODES = {
+    KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8, KeyH: 9,
+    KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16,
+  };
+  const QWERTY_MIN_OCT = KBD_START_OCT;
+  const QWERTY_MAX_OCT = KBD_START_OCT + KBD_OCTAVES - 1;
+
   const TASK_Q_PER_PAGE_KBD = 10;
   const TASK_Q_PER_PAGE_DROPDOWN = 18;
 
   const PDF_MARGIN_PT = 18;
 
+  const PLAYER_NAME_KEY = "triads_player_name";
+  const MASTERY_KEY = "triads_mastery";
+  // Leitner boxes: a chord moves up a box when answered fully right and back to 0 when not.
+  const MASTERY_MAX_BOX = 5;
+  const MASTERY_INTERVAL_DAYS = [0, 1, 2, 4, 8, 16];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Quiz codes: "<version>-<seed>-<count>-<type>-<chord mask>-<inversion mask>-<flags>-<input>-<listen>-<keys>".
+  const QUIZ_CODE_VERSION = "1";
+  const QUIZ_CODE_PARAM = "quiz";
+  const QUIZ_FILE_PARAM = "quizFile";
+  const QUIZ_FILE_DIR = "quizzes";
+  const QUIZ_FILE_FORMAT = "triads-quiz";
+  const QUIZ_FILE_VERSION = 1;
+  const QUIZ_FILE_MAX_CHORDS = 24;
+  const LISTEN_REPLAYS = [0, 1, 2, 3, 5, -1];
+  const QUESTION_TYPE_CODES = { notes: "N", name: "R", mixed: "M", listen: "L" };
+  const INPUT_MODE_CODES = { dropdown: "D", keyboard: "K", text: "T", staff: "S", mic: "M" };
+  const LISTEN_STYLE_CODES = { blocked: "B", up: "U", down: "D" };
+
+  const HISTORY_KEY = "triads_history";
+  const HISTORY_MAX_ENTRIES = 300;
+  const HISTORY_TREND_POINTS = 30;
+
   const PC_TO_STEM = {
     0: "c", 1: "csharp", 2: "d", 3: "dsharp", 4: "e", 5: "f",
     6: "fsharp", 7: "g", 8: "gsharp", 9: "a", 10: "asharp", 11: "b",
@@ -38,6 +100,8 @@
 
   const PC_SHARP = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
   const PC_FLAT = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+  const PC_SPOKEN = ["C", "C sharp", "D", "E flat", "E", "F", "F sharp", "G", "A flat", "A", "B flat", "B"];
+  const KEY_STATE_SPOKEN = { hit: "selected", ok: "correct", bad: "incorrect", printHit: "shaded" };
   const ACC_PCS = new Set([1, 3, 6, 8, 10]);
 
   const NOTE_OPTIONS = [
@@ -46,11 +110,145 @@
     { pc: 8, label: "G#/Ab" }, { pc: 9, label: "A" }, { pc: 10, label: "A#/Bb" }, { pc: 11, label: "B" },
   ];
 
+  // Spelled notes are { letter, acc }: letter indexes LETTERS, acc is -2..2 (double flat..double sharp).
+  const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+  const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11];
+  const ACC_TEXT = { "-2": "bb", "-1": "b", 0: "", 1: "#", 2: "##" };
+
+  const SPELLED_ROOTS = [
+    [0, 0], [0, 1], [1, -1], [1, 0], [1, 1], [2, -1], [2, 0], [3, 0], [3, 1],
+    [4, -1], [4, 0], [4, 1], [5, -1], [5, 0], [5, 1], [6, -1], [6, 0],
+  ].map(([letter, acc]) => ({ letter, acc }));
+
+  // steps = letter distance of each chord tone above the root (3rd = 2 letters up, etc.)
+  const CHORD_TYPES = {
+    major: { label: "Major", intervals: [0, 4, 7], steps: [0, 2, 4], degrees: ["1st (root)", "3rd", "5th"] },
+    minor: { label: "Minor", intervals: [0, 3, 7], steps: [0, 2, 4], degrees: ["1st (root)", "3rd", "5th"] },
+    diminished: { label: "Diminished", intervals: [0, 3, 6], steps: [0, 2, 4], degrees: ["1st (root)", "3rd", "5th"] },
+    augmented: { label: "Augmented", intervals: [0, 4, 8], steps: [0, 2, 4], degrees: ["1st (root)", "3rd", "5th"] },
+    sus2: { label: "Sus2", intervals: [0, 2, 7], steps: [0, 1, 4], degrees: ["1st (root)", "2nd", "5th"] },
+    sus4: { label: "Sus4", intervals: [0, 5, 7], steps: [0, 3, 4], degrees: ["1st (root)", "4th", "5th"] },
+    maj7: { label: "Major 7th", intervals: [0, 4, 7, 11], steps: [0, 2, 4, 6], degrees: ["1st (root)", "3rd", "5th", "7th"] },
+    dom7: { label: "Dominant 7th", intervals: [0, 4, 7, 10], steps: [0, 2, 4, 6], degrees: ["1st (root)", "3rd", "5th", "7th"] },
+    m7: { label: "Minor 7th", intervals: [0, 3, 7, 10], steps: [0, 2, 4, 6], degrees: ["1st (root)", "3rd", "5th", "7th"] },
+    m7b5: { label: "Half-diminished 7th", intervals: [0, 3, 6, 10], steps: [0, 2, 4, 6], degrees: ["1st (root)", "3rd", "5th", "7th"] },
+    dim7: { label: "Diminished 7th", intervals: [0, 3, 6, 9], steps: [0, 2, 4, 6], degrees: ["1st (root)", "3rd", "5th", "7th"] },
+  };
+  const DEFAULT_CHORD_TYPES = ["major", "minor"];
+
+  // Diatonic triads built on each degree of the scale (harmonic minor has the raised 7th, so III is augmented).
+  const SCALES = {
+    major: { label: "major", intervals: [0, 2, 4, 5, 7, 9, 11], qualities: ["major", "minor", "minor", "major", "major", "minor", "diminished"] },
+    harmonicMinor: { label: "harmonic minor", intervals: [0, 2, 3, 5, 7, 8, 11], qualities: ["minor", "diminished", "augmented", "minor", "major", "major", "diminished"] },
+  };
+  const ROMAN_NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+  const INVERSION_NAMES = ["Root position", "1st inversion", "2nd inversion", "3rd inversion"];
+  const VOICING_LABELS = {
+    3: ["Bass (lowest)", "Middle", "Top"],
+    4: ["Bass (lowest)", "2nd lowest", "3rd lowest", "Top"],
+  };
+  const ROOT_POSITION_MAX_SPAN = 11;
+  const INVERSION_MAX_SPAN = 23;
+
+  // NOTES: chord name -> notes, NAME: notes -> chord name, MIXED: a quiz of both, LISTEN: hear a chord and name it.
+  const QUESTION_TYPE = {
+    NOTES: "notes",
+    NAME: "name",
+    MIXED: "mixed",
+    LISTEN: "listen",
+  };
+
+  const LISTEN_STYLES = {
+    blocked: { label: "Blocked", order: null },
+    up: { label: "Arpeggio up", order: "up" },
+    down: { label: "Arpeggio down", order: "down" },
+  };
+  const LISTEN_ARPEGGIO_STEP_SEC = 0.45;
+
+  // QUIZ_CLOCK: one countdown for the whole quiz. QUESTION_CLOCK and STREAK serve one question at a time.
+  const CHALLENGE = {
+    OFF: "off",
+    QUIZ_CLOCK: "quiz",
+    QUESTION_CLOCK: "question",
+    STREAK: "streak",
+  };
+  const CHALLENGE_CODES = { quiz: "Q", question: "P", streak: "S" };
+  const QUIZ_TIME_MINUTES = [1, 2, 3, 5, 10];
+  const QUESTION_TIME_SECONDS = [10, 15, 20, 30, 60];
+  const DEFAULT_QUIZ_MINUTES = 3;
+  const DEFAULT_QUESTION_SECONDS = 20;
+  const CHALLENGE_WARN_SEC = 10;
+  const STREAK_SEED_STEP = 0x9e3779b9;
+
+  // Answer playback on the review keyboards. Steps are [pitch indices (low to high), beats to hold before the next step].
+  const PLAYBACK_PATTERNS = {
+    blocked: { label: "Block chord" },
+    up: { label: "Arpeggio up" },
+    down: { label: "Arpeggio down" },
+    broken: { label: "Broken (1-5-3-5)" },
+    thenChord: { label: "Notes then chord" },
+  };
+
   const INPUT_MODE = {
     DROPDOWN: "dropdown",
     KEYBOARD: "keyboard",
+    TEXT: "text",
+    STAFF: "staff",
+    MIC: "mic",
+  };
+  const INPUT_MODE_ORDER = [INPUT_MODE.DROPDOWN, INPUT_MODE.KEYBOARD, INPUT_MODE.TEXT, INPUT_MODE.STAFF, INPUT_MODE.MIC];
+  const INPUT_MODE_LABELS = { dropdown: "Dropdown", keyboard: "Keyboard", text: "Typed notes", staff: "Staff", mic: "Microphone" };
+  // Modes whose answers are pitches on the answer keyboard (q.selectedPitches).
+  const PITCH_INPUT_MODES = [INPUT_MODE.KEYBOARD, INPUT_MODE.MIC];
+
+  // Staff drawing, in staff spaces (the gap between two lines): space converts to SVG user units.
+  const STAFF_GEOMETRY = { space: 10, clefW: 3.6, headW: 1.4, accW: 1.1, margin: 1 };
+  // bottomStep is the bottom line (E4 / G2), anchorStep the line the clef curls round (G4 / F3).
+  const CLEFS = {
+    treble: { label: "Treble clef", bottomStep: 30, anchorStep: 32 },
+    bass: { label: "Bass clef", bottomStep: 18, anchorStep: 24 },
+  };
+  const STAFF_LEDGER_STEPS = 5;
+  const ACC_SPOKEN = { "-2": " double flat", "-1": " flat", 0: "", 1: " sharp", 2: " double sharp" };
+  const ACC_SYMBOLS = { "-2": "𝄫", "-1": "♭", 0: "♮", 1: "♯", 2: "𝄪" };
+
+  // Glyphs are stroked paths and dots in staff spaces around an anchor, so screen and PDF draw the same shapes.
+  const FLAT_GLYPH = [
+    { d: [["M", -0.3, -1.9], ["L", -0.3, 0.5]], w: 0.12 },
+    { d: [["M", -0.3, 0.5], ["C", 0.4, 0.05, 0.5, -0.7, -0.3, -0.25]], w: 0.2 },
+  ];
+  const shiftGlyph = (glyph, dx) => glyph.map((part) => ({ ...part, d: part.d.map(([op, ...pts]) => [op, ...pts.map((v, i) => (i % 2 ? v : v + dx))]) }));
+  const ACCIDENTAL_GLYPHS = {
+    "-2": [...shiftGlyph(FLAT_GLYPH, -0.3), ...shiftGlyph(FLAT_GLYPH, 0.35)],
+    "-1": FLAT_GLYPH,
+    1: [
+      { d: [["M", -0.22, -1.3], ["L", -0.22, 1.2]], w: 0.12 }, { d: [["M", 0.22, -1.2], ["L", 0.22, 1.3]], w: 0.12 },
+      { d: [["M", -0.5, -0.3], ["L", 0.5, -0.6]], w: 0.26 }, { d: [["M", -0.5, 0.55], ["L", 0.5, 0.25]], w: 0.26 },
+    ],
+    2: [{ d: [["M", -0.35, -0.35], ["L", 0.35, 0.35]], w: 0.2 }, { d: [["M", -0.35, 0.35], ["L", 0.35, -0.35]], w: 0.2 }],
+  };
+  const CLEF_GLYPHS = {
+    treble: [
+      {
+        d: [
+          ["M", 0.28, 0.55], ["C", -0.5, 0.5, -0.45, -0.6, 0.15, -0.62], ["C", 0.95, -0.6, 1.0, 0.85, 0.05, 0.95],
+          ["C", -1.15, 1.0, -1.25, -0.55, -0.25, -1.55], ["C", 0.45, -2.25, 0.75, -3.1, 0.4, -3.75],
+          ["C", 0.15, -4.15, -0.45, -3.6, -0.3, -2.7], ["L", 0.5, 2.1], ["C", 0.55, 2.7, -0.25, 2.9, -0.45, 2.35],
+        ],
+        w: 0.16,
+      },
+      { dot: [-0.3, 2.3], r: 0.25 },
+    ],
+    bass: [
+      { d: [["M", -0.6, 0], ["C", -0.7, -0.85, 0.95, -1.15, 1.05, -0.05], ["C", 1.1, 1.05, 0.1, 1.95, -0.85, 2.45]], w: 0.22 },
+      { dot: [-0.55, 0], r: 0.3 }, { dot: [1.55, -0.5], r: 0.15 }, { dot: [1.55, 0.5], r: 0.15 },
+    ],
   };
 
+  // Typed accidentals, ASCII and Unicode; "x" is the usual shorthand for a double sharp.
+  const TEXT_ACCIDENTALS = { "": 0, "♮": 0, "#": 1, "♯": 1, "##": 2, "♯♯": 2, "x": 2, "𝄪": 2, "b": -1, "♭": -1, "bb": -2, "♭♭": -2, "𝄫": -2 };
+
   // -------------------- DOM --------------------
   const $ = (id) => document.getElementById(id);
 
@@ -58,14 +256,86 @@
   const beginBtn = $("beginBtn");
   const questionCountSelect = $("questionCountSelect");
   const pageAdvice = $("pageAdvice");
+  const chordTypeChecks = Array.from(document.querySelectorAll("input[name='chordType']"));
+  const inversionChecks = Array.from(document.querySelectorAll("input[name='inversion']"));
+  const strictSpellingCheck = $("strictSpellingCheck");
+  const questionTypeSelect = $("questionTypeSelect");
+  const listenOptions = $("listenOptions");
+  const challengeSelect = $("challengeSelect");
+  const quizTimeRow = $("quizTimeRow");
+  const quizMinutesSelect = $("quizMinutesSelect");
+  const questionTimeRow = $("questionTimeRow");
+  const questionSecondsSelect = $("questionSecondsSelect");
+  const challengeBar = $("challengeBar");
+  const challengeStatus = $("challengeStatus");
+  const challengeNextBtn = $("challengeNextBtn");
+  const highScoresCard = $("highScoresCard");
+  const highScoresBody = $("highScoresBody");
+  const checkAsYouGoCheck = $("checkAsYouGoCheck");
+  const listenStyleSelect = $("listenStyleSelect");
+  const listenReplaysSelect = $("listenReplaysSelect");
+  const listenNameRootCheck = $("listenNameRootCheck");
+  const chordSourceSelect = $("chordSourceSelect");
+  const keyOptions = $("keyOptions");
+  const chordTypeOptions = $("chordTypeOptions");
+  const keyChecks = Array.from(document.querySelectorAll("input[name='key']"));
+  const playerNameInput = $("playerNameInput");
+  const practiceWeakCheck = $("practiceWeakCheck");
+  const resetMasteryBtn = $("resetMasteryBtn");
+  const masteryAdvice = $("masteryAdvice");
+  const positionAdvice = $("positionAdvice");
+  const quizFileLoadBtn = $("quizFileLoadBtn");
+  const quizFileRemoveBtn = $("quizFileRemoveBtn");
+  const quizFileInput = $("quizFileInput");
+  const quizFileStatus = $("quizFileStatus");
+  const quizEditorBtn = $("quizEditorBtn");
+  const quizEditorModal = $("quizEditorModal");
+  const qeTitle = $("qeTitle");
+  const qeInstructions = $("qeInstructions");
+  const qeQuestionType = $("qeQuestionType");
+  const qeInputMode = $("qeInputMode");
+  const qeStrictSpelling = $("qeStrictSpelling");
+  const qeCheckAsYouGo = $("qeCheckAsYouGo");
+  const qeListenRow = $("qeListenRow");
+  const qeListenStyle = $("qeListenStyle");
+  const qeListenReplays = $("qeListenReplays");
+  const qeNameRoot = $("qeNameRoot");
+  const qeChords = $("qeChords");
+  const qeAddChordBtn = $("qeAddChordBtn");
+  const qeErrors = $("qeErrors");
+
+  const srAnnouncer = $("srAnnouncer");
+  const offlineStatus = $("offlineStatus");
+  const soundSelect = $("soundSelect");
+  const playbackPatternSelect = $("playbackPatternSelect");
+  const playbackTempoSelect = $("playbackTempoSelect");
+  const sampleLoadStatus = $("sampleLoadStatus");
+  const sampleLoadProgress = $("sampleLoadProgress");
+  const sampleLoadText = $("sampleLoadText");
+  const qwertyOctaveLabel = $("qwertyOctaveLabel");
+
+  const historyBtn = $("historyBtn");
+  const historyModal = $("historyModal");
+  const historyBody = $("historyBody");
+  const historyPlayerSelect = $("historyPlayerSelect");
+  const historyExportJsonBtn = $("historyExportJsonBtn");
+  const historyExportCsvBtn = $("historyExportCsvBtn");
+  const historyClearBtn = $("historyClearBtn");
+  const historyCloseBtn = $("historyCloseBtn");
 
   const infoBtn = $("infoBtn");
   const infoModal = $("infoModal");
+  const resumeModal = $("resumeModal");
+  const resumeText = $("resumeText");
+  const resumeBtn = $("resumeBtn");
+  const resumeNewBtn = $("resumeNewBtn");
   const infoOk = $("infoOk");
 
   const inputModeBtn = $("inputModeBtn");
 
   const downloadTaskBtn = $("downloadTaskBtn");
+  const downloadAnswerKeyBtn = $("downloadAnswerKeyBtn");
+  const bundleAnswerKeyCheck = $("bundleAnswerKeyCheck");
   const downloadScorecardBtn = $("downloadScorecardBtn");
   const resetBtn = $("resetBtn");
   const resetBtn2 = $("resetBtn2");
@@ -74,15 +344,15 @@
 
   const quizTitle = $("quizTitle");
   const quizMeta = $("quizMeta");
+  const quizInstructions = $("quizInstructions");
   const questionsList = $("questionsList");
   const kbdModeHint = $("kbdModeHint");
   const submitBtn = $("submitBtn");
 
   const resultsPanel = $("resultsPanel");
   const resultsSummary = $("resultsSummary");
+  const lmsStatus = $("lmsStatus");
 
-  const taskSheetTemplate = $("taskSheetTemplate");
-  const scorecardTemplate = $("scorecardTemplate");
 
   // -------------------- Audio (WebAudio) --------------------
   let audioCtx = null;
@@ -91,6 +361,11 @@
 
   const bufferPromiseCache = new Map();
   const activeVoices = new Set();
+  let playbackGeneration = 0; // bumped by stopAllNotes, so playback still loading its samples is dropped
+  let soundMode = "piano";
+  const playback = { pattern: "blocked", bpm: 90 };
+  const playbackTimers = new Set();
+  const playbackLitKeys = new Set();
 
   function playUiSound(filename) {
     const audio = new Audio(`${AUDIO_DIR}/${filename}`);
@@ -98,17 +373,11 @@
   }
 
   function postHeightToParent(height) {
-    if (window.parent === window) return;
-    const TARGET_ORIGIN = "*";
-    window.parent.postMessage(
-      {
-        iframeHeight: Math.max(0, Math.round(height)),
-        type: "triads:height",
-        height: Math.max(0, Math.round(height)),
-        frameId: document.documentElement.getAttribute("data-frame-id") || null,
-      },
-      TARGET_ORIGIN
-    );
+    postToHost("triads:height", {
+      iframeHeight: Math.max(0, Math.round(height)),
+      height: Math.max(0, Math.round(height)),
+      frameId: document.documentElement.getAttribute("data-frame-id") || null,
+    }, ["*"]);
   }
 
   function measureDocHeightPx() {
@@ -132,6 +401,215 @@
     window.__triadsSendHeight = send;
   }
 
+  // -------------------- Embedding API (postMessage) --------------------
+  // Every message is { type: "triads:<name>", version, ... }. Hosts send start / reset / getState (with an optional
+  // requestId that is echoed back); the quiz emits ready, started, answerChanged, submitted and reset events.
+  // Commands are accepted from, and events sent to, embedAllowedOrigins() only; triads:height is still broadcast.
+  function embedAllowedOrigins() {
+    const extra = (document.documentElement.getAttribute("data-embed-origins") || "").split(/[\s,]+/).filter(Boolean);
+    return [...new Set([window.location.origin, ...EMBED_ALLOWED_ORIGINS, ...extra])].filter((o) => o !== "*");
+  }
+
+  // postMessage drops messages whose target origin does not match the parent, so the host only ever sees its own copy.
+  function postToHost(type, payload = {}, origins = embedAllowedOrigins()) {
+    if (window.parent === window) return;
+    const message = { ...payload, type, version: EMBED_PROTOCOL_VERSION };
+    for (const origin of origins) {
+      try { window.parent.postMessage(message, origin); } catch {}
+    }
+  }
+
+  function questionResult(q) {
+    return {
+      title: questionTitle(q), kind: q.kind, rootPc: q.rootPc, root: q.rootSpell ? spelledLabel(q.rootSpell) : noteLabelForPc(q.rootPc),
+      quality: q.quality, inversion: q.inversion || 0, marks: q.marks, max: questionMaxMarks(q),
+    };
+  }
+
+  function embedQuestionState(q) {
+    const marked = state.submitted || !!q.checked;
+    return {
+      ...questionResult(q), index: state.questions.indexOf(q), answer: chosenTextFor(q), marked,
+      marks: marked ? q.marks : null, correct: marked ? correctTextFor(q) : null,
+    };
+  }
+
+  function embedSnapshot() {
+    const questions = state.questions.map(embedQuestionState);
+    return {
+      started: state.started, submitted: state.submitted, quizCode: state.quizCode || null, quizFile: state.quizFile?.title ?? null, playerName: masteryPlayer(),
+      questionType: state.questionType, inputMode: state.inputMode, questionCount: state.questions.length, seed: state.started ? state.seed : null,
+      challenge: state.challenge, total: state.submitted ? questions.reduce((a, q) => a + q.marks, 0) : null,
+      max: questions.reduce((a, q) => a + q.max, 0), questions,
+    };
+  }
+
+  function startFromHost(opts) {
+    const decoded = opts.quizCode ? decodeQuizCode(opts.quizCode) : null;
+    if (opts.quizCode && !decoded) throw new Error("Invalid quizCode.");
+    if (opts.inputMode != null && !INPUT_MODE_ORDER.includes(opts.inputMode)) throw new Error(`inputMode must be one of: ${INPUT_MODE_ORDER.join(", ")}.`);
+    if (opts.seed != null && !(Number.isInteger(opts.seed) && opts.seed >= 0)) throw new Error("seed must be a non-negative integer.");
+    if (opts.count != null && clampQuestions(opts.count) !== Number(opts.count)) throw new Error("count must be between 1 and 24.");
+    setQuizFile(null);
+    if (decoded) applyQuizOptionsToControls(decoded);
+    else if (beginBtn.disabled) throw new Error(positionAdvice?.textContent || "The quiz options on the start screen pick no chords.");
+    if (opts.count != null && questionCountSelect) { questionCountSelect.value = String(opts.count); updatePageAdvice(); }
+    if (opts.playerName != null && playerNameInput) { playerNameInput.value = String(opts.playerName).trim().slice(0, 40); updatePlayerOptions(); }
+    stopAllNotes(0.08); stopChallengeTimer(); clearSession();
+    resumeModal?.classList.add("hidden");
+    startGame({ seed: opts.seed ?? decoded?.seed ?? newSeed(), inputMode: opts.inputMode ?? decoded?.inputMode ?? null });
+  }
+
+  function handleHostMessage(e) {
+    const data = e.data;
+    if (e.source !== window.parent || window.parent === window || !embedAllowedOrigins().includes(e.origin)) return;
+    if (!data || typeof data.type !== "string" || !data.type.startsWith("triads:")) return;
+    const reply = (type, payload = {}) => postToHost(type, { ...payload, requestId: data.requestId ?? null }, [e.origin]);
+    if (data.version !== EMBED_PROTOCOL_VERSION) { reply("triads:error", { message: `Unsupported protocol version; this quiz speaks version ${EMBED_PROTOCOL_VERSION}.` }); return; }
+    try {
+      if (data.type === "triads:start") startFromHost(data.options || {});
+      else if (data.type === "triads:reset") { clearSession(); resetGameToInitial(); }
+      else if (data.type !== "triads:getState") { reply("triads:error", { message: `Unknown message type ${data.type}.` }); return; }
+      reply("triads:state", { state: embedSnapshot() });
+    } catch (err) {
+      reply("triads:error", { message: err.message });
+    }
+  }
+
+  function setupEmbedApi() {
+    if (window.parent === window) return;
+    window.addEventListener("message", handleHostMessage);
+    postToHost("triads:ready", { commands: ["triads:start", "triads:reset", "triads:getState"] });
+  }
+
+  // -------------------- LMS reporting (SCORM 1.2 / xAPI) --------------------
+  const lms = { scorm: null, xapi: null, openedAt: Date.now(), finished: false };
+
+  function findScormApi() {
+    const search = (win) => {
+      for (let depth = 0; win && depth <= SCORM_SEARCH_DEPTH; depth++) {
+        // Cross-origin windows throw on access: no API can be reached through them.
+        try { if (typeof win.API?.LMSInitialize === "function") return win.API; } catch { return null; }
+        if (win.parent === win) break;
+        win = win.parent;
+      }
+      return null;
+    };
+    return search(window) || search(window.opener);
+  }
+
+  function xapiConfig() {
+    const params = new URL(window.location.href).searchParams;
+    const html = document.documentElement;
+    const endpoint = params.get("endpoint") || html.getAttribute("data-xapi-endpoint") || "";
+    if (!/^https?:\/\//.test(endpoint)) return null;
+    let actor = null;
+    try { actor = JSON.parse(params.get("actor") || "null"); } catch {}
+    return {
+      endpoint: endpoint.endsWith("/") ? endpoint : `${endpoint}/`, auth: params.get("auth") || html.getAttribute("data-xapi-auth") || "",
+      actor, registration: params.get("registration") || null, activityId: params.get("activity_id") || `${window.location.origin}${window.location.pathname}`,
+    };
+  }
+
+  function initLmsReporting() {
+    const api = findScormApi();
+    if (api && String(api.LMSInitialize("")) === "true") {
+      lms.scorm = api;
+      if (["not attempted", ""].includes(String(api.LMSGetValue("cmi.core.lesson_status")))) { api.LMSSetValue("cmi.core.lesson_status", "incomplete"); api.LMSCommit(""); }
+    } else {
+      lms.xapi = xapiConfig();
+    }
+    window.addEventListener("pagehide", finishLms);
+  }
+
+  function setLmsStatus(text, kind = "") {
+    if (!lmsStatus) return;
+    lmsStatus.textContent = text; lmsStatus.className = `lmsStatus ${kind}`.trim();
+  }
+
+  function lmsInteraction(q) {
+    const max = questionMaxMarks(q);
+    return { description: questionTitle(q), response: chosenTextFor(q), correct: correctTextFor(q), success: q.marks === max, marks: q.marks, max };
+  }
+
+  // CMITimespan: HHHH:MM:SS.
+  function scormTimespan(sec) {
+    const s = Math.max(0, Math.round(sec));
+    return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map((v) => String(v).padStart(2, "0")).join(":");
+  }
+
+  function reportScorm(total, max) {
+    const api = lms.scorm;
+    const mastery = parseFloat(api.LMSGetValue("cmi.student_data.mastery_score"));
+    const status = Number.isFinite(mastery) ? (pct(total, max) >= mastery ? "passed" : "failed") : "completed";
+    // Interactions are write-only in SCORM 1.2, so every attempt appends after the ones already recorded.
+    const first = Number(api.LMSGetValue("cmi.interactions._count")) || 0;
+    const values = [["cmi.core.score.min", 0], ["cmi.core.score.max", max], ["cmi.core.score.raw", total]];
+    state.questions.forEach((q, i) => {
+      const n = first + i; const it = lmsInteraction(q); const key = `cmi.interactions.${n}`;
+      values.push([`${key}.id`, `${q.id}_${n}`], [`${key}.type`, "fill-in"], [`${key}.weighting`, it.max],
+        [`${key}.student_response`, it.response.slice(0, 255)], [`${key}.correct_responses.0.pattern`, it.correct.slice(0, 255)],
+        [`${key}.result`, it.success ? "correct" : "wrong"]);
+    });
+    values.push(["cmi.core.lesson_status", status]);
+    const ok = values.map(([k, v]) => String(api.LMSSetValue(k, String(v))) === "true").every(Boolean);
+    return String(api.LMSCommit("")) === "true" && ok;
+  }
+
+  function xapiStatements(total, max) {
+    const cfg = lms.xapi;
+    const actor = cfg.actor || { objectType: "Agent", name: masteryPlayer(), account: { homePage: window.location.origin, name: masteryPlayer() } };
+    const quiz = { objectType: "Activity", id: cfg.activityId, definition: { type: "http://adlnet.gov/expapi/activities/assessment", name: { "en-US": "Triads quiz" } } };
+    const base = { ...(cfg.registration ? { registration: cfg.registration } : {}), extensions: { [`${cfg.activityId}#quizCode`]: state.quizCode || null } };
+    const timestamp = (state.submittedOn ?? new Date()).toISOString();
+    const answered = state.questions.map((q) => {
+      const it = lmsInteraction(q);
+      return {
+        actor, timestamp, verb: { id: "http://adlnet.gov/expapi/verbs/answered", display: { "en-US": "answered" } },
+        object: {
+          objectType: "Activity", id: `${cfg.activityId}#${state.quizCode || "practice"}/${q.id}`,
+          definition: { type: "http://adlnet.gov/expapi/activities/cmi.interaction", name: { "en-US": it.description }, interactionType: "fill-in", correctResponsesPattern: [it.correct] },
+        },
+        result: { response: it.response, success: it.success, score: { raw: it.marks, min: 0, max: it.max } },
+        context: { ...base, contextActivities: { parent: [{ objectType: "Activity", id: cfg.activityId }] } },
+      };
+    });
+    const completed = {
+      actor, timestamp, verb: { id: "http://adlnet.gov/expapi/verbs/completed", display: { "en-US": "completed" } }, object: quiz,
+      result: { completion: true, score: { raw: total, min: 0, max, scaled: max ? total / max : 0 }, duration: `PT${timeTakenSec()}S` },
+      context: base,
+    };
+    return [...answered, completed];
+  }
+
+  async function sendXapiStatements(statements) {
+    const cfg = lms.xapi;
+    const res = await fetch(`${cfg.endpoint}statements`, {
+      method: "POST", body: JSON.stringify(statements),
+      headers: { "Content-Type": "application/json", "X-Experience-API-Version": XAPI_VERSION, ...(cfg.auth ? { Authorization: cfg.auth } : {}) },
+    });
+    if (!res.ok) throw new Error(`LRS answered ${res.status}`);
+  }
+
+  function reportToLms(total, max) {
+    if (lms.scorm && !lms.finished) {
+      const ok = reportScorm(total, max);
+      setLmsStatus(ok ? "✓ Result saved to your course" : "Your course did not accept this result - tell your teacher", ok ? "ok" : "bad");
+    } else if (lms.xapi) {
+      setLmsStatus("Sending result to your course…");
+      sendXapiStatements(xapiStatements(total, max))
+        .then(() => setLmsStatus("✓ Result sent to your course", "ok"))
+        .catch(() => setLmsStatus("Could not send this result to your course - tell your teacher", "bad"));
+    }
+  }
+
+  function finishLms() {
+    if (!lms.scorm || lms.finished) return;
+    lms.finished = true;
+    lms.scorm.LMSSetValue("cmi.core.session_time", scormTimespan((Date.now() - lms.openedAt) / 1000));
+    lms.scorm.LMSFinish("");
+  }
+
   function ensureAudioGraph() {
     if (audioCtx) return audioCtx;
     const Ctx = window.AudioContext || window.webkitAudioContext;
@@ -162,6 +640,8 @@
   }
 
   function stopAllNotes(fadeSec = 0.06) {
+    playbackGeneration++;
+    clearPlaybackHighlights();
     const ctx = ensureAudioGraph();
     if (!ctx) return;
     const now = ctx.currentTime;
@@ -202,6 +682,8 @@
       }
     })();
     bufferPromiseCache.set(url, p);
+    // A failed load isn't remembered, so the next play of that note tries again (e.g. after a moment offline).
+    p.then((buf) => { if (!buf && bufferPromiseCache.get(url) === p) bufferPromiseCache.delete(url); });
     return p;
   }
 
@@ -242,55 +724,324 @@
     return PC_TO_STEM[(pc + 12) % 12] || null;
   }
 
+  function playSynthWindowed(pitch, whenSec, playSec, fadeOutSec, gain = 1) {
+    const ctx = ensureAudioGraph();
+    if (!ctx || !masterGain) return null;
+    const freq = 440 * Math.pow(2, (pitch + 12 - 69) / 12);
+    const peak = Math.max(0, Number.isFinite(gain) ? gain : 1) * 0.7;
+    const endAt = whenSec + Math.max(0.05, playSec);
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0, whenSec);
+    g.gain.linearRampToValueAtTime(peak, whenSec + 0.01);
+    g.gain.setTargetAtTime(peak * 0.45, whenSec + 0.01, 0.25);
+    const fadeStart = Math.max(whenSec + 0.02, endAt - Math.max(0.06, fadeOutSec));
+    g.gain.setTargetAtTime(0, fadeStart, Math.max(0.06, fadeOutSec) / 4);
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass"; filter.frequency.value = Math.min(8000, freq * 6); filter.Q.value = 0.5;
+    filter.connect(g); g.connect(masterGain);
+    // A triangle plus a quieter sine an octave up gives a soft, piano-like tone.
+    for (const [type, mult, level] of [["triangle", 1, 1], ["sine", 2, 0.25]]) {
+      const osc = ctx.createOscillator(); const og = ctx.createGain();
+      osc.type = type; osc.frequency.value = freq * mult; og.gain.value = level;
+      osc.connect(og); og.connect(filter);
+      trackVoice(osc, g, whenSec);
+      osc.start(whenSec); osc.stop(endAt + 0.03);
+    }
+    return g;
+  }
+
   async function loadPitchBuffer(pitch) {
     const pc = pcFromPitch(pitch);
     const oct = octFromPitch(pitch);
     const stem = getStemForPc(pc);
-    if (!stem) return { missingUrl: null, buffer: null };
+    if (!stem || pitch < SAMPLE_LO_PITCH || pitch > SAMPLE_HI_PITCH) return { missingUrl: null, buffer: null };
     const url = noteUrl(stem, oct);
     const buf = await loadBuffer(url);
     if (!buf) return { missingUrl: url, buffer: null };
     return { missingUrl: null, buffer: buf };
   }
 
-  async function playPitchesWindowed(pitches, playSec = 1.4) {
+  async function playPitchesWindowed(pitches, playSec = 1.4, offsetsSec = null) {
+    return playNoteEvents(pitches.map((pitch, i) => ({ pitch, atSec: offsetsSec?.[i] ?? 0, durSec: playSec })));
+  }
+
+  // events: [{ pitch, atSec, durSec }], times relative to the start. onStart gets the AudioContext start time.
+  async function playNoteEvents(events, { onStart = null } = {}) {
+    const generation = playbackGeneration;
     await resumeAudioIfNeeded();
     const ctx = ensureAudioGraph();
     if (!ctx) return false;
+    const results = soundMode === "synth" ? events.map(() => null) : await Promise.all(events.map((e) => loadPitchBuffer(e.pitch)));
+    if (!events.length || generation !== playbackGeneration) return false;
     const whenSec = ctx.currentTime + 0.03;
-    const results = await Promise.all(pitches.map(loadPitchBuffer));
-    const missing = results.find((r) => r?.missingUrl);
-    if (missing?.missingUrl) {
-      alert(`Missing audio sample: ${missing.missingUrl}`);
-      return false;
-    }
-    const bufs = results.map((r) => r?.buffer).filter(Boolean);
-    if (!bufs.length) return false;
-    const perNoteGain = 0.8 / Math.max(1, bufs.length);
-    for (const b of bufs) playBufferWindowed(b, whenSec, playSec, FADE_OUT_SEC, perNoteGain);
+    const perNoteGain = 0.8 / Math.max(1, new Set(events.map((e) => e.pitch)).size);
+    events.forEach((e, i) => {
+      const at = whenSec + e.atSec;
+      if (results[i]?.buffer) playBufferWindowed(results[i].buffer, at, e.durSec, FADE_OUT_SEC, perNoteGain);
+      else playSynthWindowed(e.pitch, at, e.durSec, FADE_OUT_SEC, perNoteGain);
+    });
+    onStart?.(whenSec - ctx.currentTime);
     return true;
   }
 
+  // -------------------- Playback patterns --------------------
+  function playbackSteps(count, pattern) {
+    const idx = Array.from({ length: count }, (_, i) => i);
+    const top = count - 1;
+    if (count < 2 || pattern === "blocked") return [[idx, 0]];
+    if (pattern === "up") return idx.map((i) => [[i], 1]);
+    if (pattern === "down") return idx.slice().reverse().map((i) => [[i], 1]);
+    if (pattern === "broken") return [[[0], 1], ...idx.slice(1, top).flatMap((i) => [[[top], 1], [[i], 1]]), [[top], 1]];
+    if (pattern === "thenChord") return [...idx.map((i) => [[i], 1]), [idx, 0]];
+    return [[idx, 0]];
+  }
+
+  function clearPlaybackHighlights() {
+    playbackTimers.forEach((t) => window.clearTimeout(t)); playbackTimers.clear();
+    playbackLitKeys.forEach((el) => el.classList.remove("playing")); playbackLitKeys.clear();
+  }
+
+  function schedulePlaybackHighlight(mount, pitches, atSec, durSec) {
+    if (!mount) return;
+    const later = (sec, fn) => { const t = window.setTimeout(() => { playbackTimers.delete(t); fn(); }, Math.max(0, sec * 1000)); playbackTimers.add(t); };
+    later(atSec, () => pitches.forEach((p) => {
+      const el = mount.querySelector(`.key[data-pitch="${p}"]`);
+      if (el) { el.classList.add("playing"); playbackLitKeys.add(el); }
+    }));
+    later(atSec + durSec, () => pitches.forEach((p) => {
+      const el = mount.querySelector(`.key[data-pitch="${p}"]`);
+      if (el) { el.classList.remove("playing"); playbackLitKeys.delete(el); }
+    }));
+  }
+
+  // Notes ring on until the end of the pattern; the last step (or a block chord) holds for holdSec.
+  async function playPattern(pitches, { pattern = playback.pattern, stepSec = 60 / playback.bpm, holdSec = 1.6, mount = null } = {}) {
+    const sorted = pitches.slice().sort((a, b) => a - b);
+    const steps = playbackSteps(sorted.length, pattern);
+    const starts = []; let t = 0;
+    for (const [, beats] of steps) { starts.push(t); t += beats * stepSec; }
+    const endSec = t + holdSec;
+    const events = []; const lit = [];
+    steps.forEach(([idx], i) => {
+      const stepEnd = i < steps.length - 1 ? starts[i + 1] : endSec;
+      lit.push({ pitches: idx.map((k) => sorted[k]), atSec: starts[i], durSec: Math.max(0.12, stepEnd - starts[i]) });
+      for (const k of idx) events.push({ pitch: sorted[k], atSec: starts[i], durSec: endSec - starts[i] });
+    });
+    stopAllNotes(0.02);
+    return playNoteEvents(events, { onStart: (delaySec) => lit.forEach((l) => schedulePlaybackHighlight(mount, l.pitches, delaySec + l.atSec, l.durSec)) });
+  }
+
+  function initPlaybackSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PLAYBACK_KEY) || "{}");
+      if (PLAYBACK_PATTERNS[saved.pattern]) playback.pattern = saved.pattern;
+      if (PLAYBACK_TEMPOS.includes(saved.bpm)) playback.bpm = saved.bpm;
+    } catch {}
+    if (playbackPatternSelect) playbackPatternSelect.value = playback.pattern;
+    if (playbackTempoSelect) playbackTempoSelect.value = String(playback.bpm);
+  }
+
+  function updatePlaybackSettings() {
+    if (PLAYBACK_PATTERNS[playbackPatternSelect?.value]) playback.pattern = playbackPatternSelect.value;
+    const bpm = Number(playbackTempoSelect?.value);
+    if (PLAYBACK_TEMPOS.includes(bpm)) playback.bpm = bpm;
+    try { localStorage.setItem(PLAYBACK_KEY, JSON.stringify(playback)); } catch {}
+  }
+
+  function initSoundMode() {
+    try { soundMode = SOUNDS[localStorage.getItem(SOUND_KEY)] ? localStorage.getItem(SOUND_KEY) : "piano"; } catch {}
+    if (soundSelect) soundSelect.value = soundMode;
+  }
+
+  function setSoundMode(mode) {
+    soundMode = SOUNDS[mode] ? mode : "piano";
+    try { localStorage.setItem(SOUND_KEY, soundMode); } catch {}
+    if (soundMode === "piano") preloadSamples();
+  }
+
+  function preloadRangePitches() {
+    const ranges = [
+      [pitchFromPcOct(0, KBD_START_OCT), KBD_OCTAVES, false],
+      [pitchFromPcOct(0, Q_KBD_START_OCT), Q_KBD_OCTAVES, Q_KBD_INCLUDE_END_C],
+      [pitchFromPcOct(0, MINI_KBD_START_OCT), MINI_KBD_OCTAVES, MINI_KBD_INCLUDE_END_C],
+    ];
+    const set = new Set();
+    for (const [lo, octaves, endC] of ranges) {
+      for (let p = lo; p <= rangeHiPitch(lo, octaves, endC); p++) if (p >= SAMPLE_LO_PITCH && p <= SAMPLE_HI_PITCH) set.add(p);
+    }
+    return Array.from(set).sort((a, b) => a - b);
+  }
+
+  function showSampleProgress(done, total) {
+    if (!sampleLoadStatus) return;
+    sampleLoadStatus.classList.toggle("hidden", done >= total);
+    if (sampleLoadProgress) { sampleLoadProgress.max = total; sampleLoadProgress.value = done; }
+    if (sampleLoadText) sampleLoadText.textContent = `Loading piano sounds… ${done} / ${total}`;
+  }
+
+  let preloadStarted = false;
+  // Loads the samples for every on-screen keyboard in the background so the first key press plays instantly.
+  async function preloadSamples() {
+    if (preloadStarted || soundMode !== "piano" || !(window.AudioContext || window.webkitAudioContext) || !ensureAudioGraph()) return;
+    preloadStarted = true;
+    const queue = preloadRangePitches();
+    const total = queue.length; let done = 0; let failed = 0;
+    showSampleProgress(done, total);
+    const worker = async () => {
+      while (queue.length) {
+        const { buffer } = await loadPitchBuffer(queue.shift());
+        if (buffer) done += 1; else failed += 1;
+        showSampleProgress(done, total);
+      }
+    };
+    await Promise.all(Array.from({ length: PRELOAD_CONCURRENCY }, worker));
+    if (failed && sampleLoadText) {
+      sampleLoadText.textContent = `${failed} piano sound(s) couldn't load: those notes use the synth until they load on a later play.`;
+      window.setTimeout(() => sampleLoadStatus?.classList.add("hidden"), 8000);
+    }
+  }
+
   // -------------------- Theory helpers --------------------
   function noteLabelForPc(pc) {
     const p = ((pc % 12) + 12) % 12;
     return ACC_PCS.has(p) ? `${PC_SHARP[p]}/${PC_FLAT[p]}` : PC_SHARP[p];
   }
 
-  function chordName(rootPc, quality) {
-    const r = noteLabelForPc(rootPc);
-    const q = quality === "major" ? "Major" : "Minor";
-    return `${r} ${q}`;
+  function spelledPc(sp) {
+    return ((LETTER_PCS[sp.letter] + sp.acc) % 12 + 12) % 12;
+  }
+
+  function spelledLabel(sp) {
+    return `${LETTERS[sp.letter]}${ACC_TEXT[sp.acc] ?? ""}`;
+  }
+
+  function sameSpelling(a, b) {
+    return !!a && !!b && a.letter === b.letter && a.acc === b.acc;
+  }
+
+  function spelledKey(sp) {
+    return `${sp.letter}:${sp.acc}`;
+  }
+
+  function parseSpelledKey(v) {
+    const m = /^(\d):(-?\d)$/.exec(String(v ?? ""));
+    if (!m) return null;
+    const sp = { letter: Number(m[1]), acc: Number(m[2]) };
+    return LETTERS[sp.letter] && ACC_TEXT[sp.acc] != null ? sp : null;
+  }
+
+  // Parses typed answers like "Eb G Bb" or "e♭, g, b♭" into spelled notes; unreadable tokens come back as null.
+  function parseNoteText(text) {
+    const tokens = String(text ?? "").trim().split(/[\s,;]+/).filter(Boolean);
+    const notes = tokens.map((tok) => {
+      const m = /^([a-g])(.*)$/iu.exec(tok.normalize("NFC"));
+      if (!m) return null;
+      const acc = TEXT_ACCIDENTALS[m[2].toLowerCase()];
+      return acc == null ? null : { letter: LETTERS.indexOf(m[1].toUpperCase()), acc };
+    });
+    return { tokens, notes, bad: tokens.filter((_, i) => !notes[i]) };
+  }
+
+  function chordType(quality) {
+    return CHORD_TYPES[quality] || CHORD_TYPES.major;
+  }
+
+  function chordName(rootPc, quality, rootSpell = null) {
+    const r = rootSpell ? spelledLabel(rootSpell) : noteLabelForPc(rootPc);
+    return `${r} ${chordType(quality).label}`;
+  }
+
+  function chordPcs(rootPc, quality) {
+    return chordType(quality).intervals.map((iv) => (rootPc + iv) % 12);
+  }
+
+  function chordVoicingPcs(rootPc, quality, inversion = 0) {
+    const pcs = chordPcs(rootPc, quality);
+    const n = Math.max(0, Math.min(pcs.length - 1, inversion));
+    return pcs.slice(n).concat(pcs.slice(0, n));
+  }
+
+  function spellChord(rootSpell, quality) {
+    const t = chordType(quality);
+    const rootPc = spelledPc(rootSpell);
+    return t.intervals.map((iv, i) => {
+      const letter = (rootSpell.letter + t.steps[i]) % 7;
+      let acc = ((rootPc + iv - LETTER_PCS[letter]) % 12 + 12) % 12;
+      if (acc > 6) acc -= 12;
+      return { letter, acc };
+    });
+  }
+
+  function spellVoicing(rootSpell, quality, inversion = 0) {
+    const notes = spellChord(rootSpell, quality);
+    const n = Math.max(0, Math.min(notes.length - 1, inversion));
+    return notes.slice(n).concat(notes.slice(0, n));
+  }
+
+  function correctLabelsFor(q) {
+    return q.correctSpell ? q.correctSpell.map(spelledLabel) : q.correctPcs.map(noteLabelForPc);
+  }
+
+  function chosenLabelsFor(q) {
+    return q.userPcs.map((pc, i) => {
+      if (pc == null) return "—";
+      return q.userSpell?.[i] ? spelledLabel(q.userSpell[i]) : noteLabelForPc(pc);
+    });
+  }
+
+  // Key ids look like "Eb-major" or "F#-harmonicMinor".
+  function parseKeyId(id) {
+    const m = /^([A-G])(bb|b|##|#)?-(major|harmonicMinor)$/.exec(String(id ?? ""));
+    if (!m) return null;
+    const acc = Number(Object.keys(ACC_TEXT).find((k) => ACC_TEXT[k] === (m[2] || "")));
+    return { id, tonic: { letter: LETTERS.indexOf(m[1]), acc }, scale: m[3] };
+  }
+
+  function keyName(key) {
+    return `${spelledLabel(key.tonic)} ${SCALES[key.scale].label}`;
   }
 
-  function triadPcs(rootPc, quality) {
-    const third = (rootPc + (quality === "major" ? 4 : 3)) % 12;
-    const fifth = (rootPc + 7) % 12;
-    return [rootPc, third, fifth];
+  function romanNumeral(degree, quality) {
+    const base = ROMAN_NUMERALS[degree] ?? "?";
+    if (quality === "diminished") return `${base.toLowerCase()}°`;
+    if (quality === "augmented") return `${base}+`;
+    return quality === "minor" ? base.toLowerCase() : base;
   }
 
-  function pcsToPretty(pcs) {
-    return pcs.map(noteLabelForPc).join(", ");
+  function diatonicTriads(key) {
+    const scale = SCALES[key.scale];
+    const tonicPc = spelledPc(key.tonic);
+    return scale.intervals.map((iv, degree) => {
+      const letter = (key.tonic.letter + degree) % 7;
+      let acc = ((tonicPc + iv - LETTER_PCS[letter]) % 12 + 12) % 12;
+      if (acc > 6) acc -= 12;
+      const rootSpell = { letter, acc };
+      return { degree, rootSpell, rootPc: spelledPc(rootSpell), quality: scale.qualities[degree] };
+    });
+  }
+
+  function isNamingQuestion(q) {
+    return q.kind === QUESTION_TYPE.LISTEN || q.kind === QUESTION_TYPE.NAME;
+  }
+
+  function questionTitle(q, { reveal = true } = {}) {
+    const key = parseKeyId(q.keyId);
+    if (key) {
+      const numeral = romanNumeral(q.degree, q.quality);
+      const inv = q.inversion ? `, ${INVERSION_NAMES[q.inversion]}` : "";
+      const name = chordName(q.rootPc, q.quality, q.rootSpell);
+      if (q.kind === QUESTION_TYPE.LISTEN) return `In ${keyName(key)}: ${reveal ? `listening - ${numeral} (${name})${inv}` : "listen and identify the chord"}`;
+      if (q.kind === QUESTION_TYPE.NAME) return `In ${keyName(key)}: ${reveal ? `name the chord - ${numeral} (${name})${inv}` : "name the chord"}`;
+      return `In ${keyName(key)}: chord ${numeral}${inv}${reveal ? ` (${name})` : ""}`;
+    }
+    if (isNamingQuestion(q)) {
+      const listen = q.kind === QUESTION_TYPE.LISTEN;
+      if (!reveal) return listen ? "Listen and identify the chord" : "Name the chord";
+      const name = chordName(q.rootPc, q.quality, q.rootSpell);
+      return `${listen ? "Listening" : "Name the chord"}: ${q.inversion ? `${name}, ${INVERSION_NAMES[q.inversion]}` : name}`;
+    }
+    const name = chordName(q.rootPc, q.quality, q.rootSpell);
+    return q.inversion ? `${name}, ${INVERSION_NAMES[q.inversion]}` : name;
   }
 
   // -------------------- Keyboard SVG --------------------
@@ -311,6 +1062,34 @@
     return m[pc] ?? null;
   }
 
+  const KEY_GEOMETRY = { whiteW: 28, whiteH: 124, blackW: 17, blackH: 78, border: 10, radius: 18 };
+  const LEFT_WHITE_PC_BY_BLACK = { 1: 0, 3: 2, 6: 5, 8: 7, 10: 9 };
+
+  // Key rectangles in SVG user units; shared by the on-screen keyboards and the vector PDFs.
+  function keyboardGeometry({ startPitch, octaves, includeEndC = false }) {
+    const { whiteW, whiteH, blackW, blackH, border, radius } = KEY_GEOMETRY;
+    const lo = startPitch;
+    const hi = rangeHiPitch(startPitch, octaves, includeEndC);
+    const all = [];
+    for (let p = lo; p <= hi; p++) all.push(p);
+
+    const whitePitches = all.filter((p) => whiteIndexInOctave(pcFromPitch(p)) != null);
+    const whiteIndexByPitch = new Map(whitePitches.map((p, i) => [p, i]));
+    const whites = whitePitches.map((p, i) => ({ pitch: p, black: false, x: border + i * whiteW, y: border, w: whiteW, h: whiteH }));
+    const blacks = [];
+    for (const p of all) {
+      const leftPc = LEFT_WHITE_PC_BY_BLACK[pcFromPitch(p)];
+      if (leftPc == null) continue;
+      const wi = whiteIndexByPitch.get(pitchFromPcOct(leftPc, octFromPitch(p)));
+      if (wi == null) continue;
+      blacks.push({ pitch: p, black: true, x: border + wi * whiteW + whiteW - blackW / 2, y: border, w: blackW, h: blackH });
+    }
+    return {
+      lo, hi, all, whites, blacks, border, radius,
+      outerW: whitePitches.length * whiteW + border * 2, outerH: whiteH + border * 2,
+    };
+  }
+
   function buildKeyboardSvg({
     startPitch,
     octaves,
@@ -322,19 +1101,12 @@
     highlight = null, 
     onKeyDown = null,
     theme = null, 
+    focusPitch = null,
   }) {
-    const lo = startPitch;
-    const hi = rangeHiPitch(startPitch, octaves, includeEndC);
-
-    const all = [];
-    for (let p = lo; p <= hi; p++) all.push(p);
-
-    const WHITE_W = 28;
-    const WHITE_H = 124;
-    const BLACK_W = 17;
-    const BLACK_H = 78;
-    const BORDER = 10;
-    const RADIUS = 18;
+    const geo = keyboardGeometry({ startPitch, octaves, includeEndC });
+    const { lo, hi, all, outerW, outerH } = geo;
+    const BORDER = geo.border;
+    const RADIUS = geo.radius;
 
     const t = {
       frameFill: theme?.frameFill ?? "#fff",
@@ -344,18 +1116,11 @@
       blackStroke: theme?.blackStroke ?? "#000",
     };
 
-    const whitePitches = all.filter((p) => whiteIndexInOctave(pcFromPitch(p)) != null);
-    const totalWhite = whitePitches.length;
-
-    const innerW = totalWhite * WHITE_W;
-    const outerW = innerW + BORDER * 2;
-    const outerH = WHITE_H + BORDER * 2;
-
     const svg = svgEl("svg", {
       width: outerW, height: outerH,
       viewBox: `0 0 ${outerW} ${outerH}`,
       preserveAspectRatio: "xMidYMid meet",
-      role: "img", "aria-label": ariaLabel,
+      role: interactive ? "group" : "img", "aria-label": ariaLabel,
     });
 
     const style = svgEl("style");
@@ -363,10 +1128,12 @@
       .frame{ fill:${t.frameFill}; stroke:#000; stroke-width:${BORDER}; rx:${RADIUS}; ry:${RADIUS}; }
       .w rect{ fill:${t.whiteFill}; stroke:${t.whiteStroke}; stroke-width:1; }
       .b rect{ fill:${t.blackFill}; stroke:${t.blackStroke}; stroke-width:1; rx:3; ry:3; }
-      .key { cursor: ${interactive ? "pointer" : "default"}; }
+      .key { cursor: ${interactive ? "pointer" : "default"}; outline: none; }
+      .key:focus-visible rect { stroke: var(--primary); stroke-width: 3; }
       .hit rect { fill: var(--kbdHit) !important; }
       .hitOk rect { fill: var(--kbdHitOk) !important; }
       .hitBad rect { fill: var(--kbdHitBad) !important; }
+      .playing rect { fill: var(--kbdPlaying) !important; }
       .printHit rect { fill: #d4d4d4 !important; }
     `;
     svg.appendChild(style);
@@ -382,11 +1149,12 @@
     svg.appendChild(gW);
     svg.appendChild(gB);
 
-    const startX = BORDER;
-    const startY = BORDER;
-
-    const whiteIndexByPitch = new Map();
-    whitePitches.forEach((p, i) => whiteIndexByPitch.set(p, i));
+    function keyAttrs(p, base) {
+      const attrs = { class: `${classForPitch(p, base)} key`, "data-pitch": String(p), tabindex: "-1" };
+      if (!interactive) return { ...attrs, "aria-hidden": "true" };
+      const spoken = KEY_STATE_SPOKEN[highlight?.get(p)];
+      return { ...attrs, role: "button", "aria-label": spoken ? `${spokenPitchName(p)}, ${spoken}` : spokenPitchName(p) };
+    }
 
     function classForPitch(p, base) {
       if (!highlight) return base;
@@ -398,40 +1166,189 @@
       return `${base} hit`;
     }
 
-    for (let i = 0; i < whitePitches.length; i++) {
-      const p = whitePitches[i];
-      const x = startX + i * WHITE_W;
-      const grp = svgEl("g", { class: `${classForPitch(p, "w")} key`, "data-pitch": String(p), tabindex: interactive ? "0" : "-1" });
-      grp.appendChild(svgEl("rect", { x, y: startY, width: WHITE_W, height: WHITE_H }));
+    for (const key of [...geo.whites, ...geo.blacks]) {
+      const p = key.pitch;
+      const grp = svgEl("g", keyAttrs(p, key.black ? "b" : "w"));
+      grp.appendChild(svgEl("rect", { x: key.x, y: key.y, width: key.w, height: key.h }));
       if (interactive && typeof onKeyDown === "function") {
         grp.addEventListener("pointerdown", (e) => { e.preventDefault(); onKeyDown(p, grp); });
       }
-      gW.appendChild(grp);
+      (key.black ? gB : gW).appendChild(grp);
     }
 
-    const leftPcByBlack = { 1: 0, 3: 2, 6: 5, 8: 7, 10: 9 };
-    for (let p = lo; p <= hi; p++) {
-      const pc = pcFromPitch(p);
-      if (!ACC_PCS.has(pc)) continue;
-      const leftPc = leftPcByBlack[pc];
-      if (leftPc == null) continue;
-      const oct = octFromPitch(p);
-      const leftWhitePitch = pitchFromPcOct(leftPc, oct);
-      const wi = whiteIndexByPitch.get(leftWhitePitch);
-      if (wi == null) continue;
-      const leftX = startX + wi * WHITE_W;
-      const x = leftX + WHITE_W - BLACK_W / 2;
-      const grp = svgEl("g", { class: `${classForPitch(p, "b")} key`, "data-pitch": String(p), tabindex: interactive ? "0" : "-1" });
-      grp.appendChild(svgEl("rect", { x, y: startY, width: BLACK_W, height: BLACK_H }));
-      if (interactive && typeof onKeyDown === "function") {
-        grp.addEventListener("pointerdown", (e) => { e.preventDefault(); onKeyDown(p, grp); });
-      }
-      gB.appendChild(grp);
+    if (interactive) {
+      // Roving tabindex: one tab stop per keyboard, arrows move between keys in pitch order.
+      const keyFor = (p) => svg.querySelector(`.key[data-pitch="${p}"]`);
+      const selected = highlight ? all.find((p) => highlight.get(p) === "hit") : null;
+      const initial = keyFor(focusPitch ?? selected ?? (lo <= 48 && 48 <= hi ? 48 : lo));
+      if (initial) initial.setAttribute("tabindex", "0");
+      svg.addEventListener("keydown", (e) => {
+        const grp = e.target.closest?.(".key"); if (!grp) return;
+        const p = Number(grp.dataset.pitch);
+        const moves = { ArrowRight: p + 1, ArrowLeft: p - 1, ArrowUp: p + 12, ArrowDown: p - 12, Home: lo, End: hi };
+        if (e.key in moves) {
+          e.preventDefault();
+          const next = keyFor(Math.max(lo, Math.min(hi, moves[e.key])));
+          if (!next || next === grp) return;
+          grp.setAttribute("tabindex", "-1"); next.setAttribute("tabindex", "0"); next.focus();
+        } else if ((e.key === "Enter" || e.key === " ") && typeof onKeyDown === "function") {
+          e.preventDefault(); if (!e.repeat) onKeyDown(p, grp);
+        }
+      });
+    }
+
+    return svg;
+  }
+
+  // -------------------- Staff notation --------------------
+  // Steps are diatonic positions: letter + 7 * octave, so C4 = 28 and each line or space is one step.
+  function staffStep(note) {
+    return note.letter + 7 * note.oct;
+  }
+
+  function staffNoteFromStep(step, acc = 0) {
+    return { letter: ((step % 7) + 7) % 7, oct: Math.floor(step / 7), acc };
+  }
+
+  function staffNotePitch(note) {
+    return note.oct * 12 + LETTER_PCS[note.letter] + note.acc;
+  }
+
+  function spelledNoteAtPitch(sp, pitch) {
+    return { ...sp, oct: Math.round((pitch - sp.acc - LETTER_PCS[sp.letter]) / 12) };
+  }
+
+  function staffNoteLabel(note) {
+    return `${spelledLabel(note)}${note.oct}`;
+  }
+
+  function spokenStaffNote(note) {
+    return `${LETTERS[note.letter]}${ACC_SPOKEN[note.acc]} ${note.oct}`;
+  }
+
+  // Questions without a spelled answer are drawn with whichever root spelling needs the fewest accidentals.
+  function staffSpellingFor(q) {
+    if (q.correctSpell) return q.correctSpell;
+    const cost = (notes) => notes.reduce((a, n) => a + Math.abs(n.acc), 0);
+    return SPELLED_ROOTS.filter((sp) => spelledPc(sp) === q.rootPc)
+      .map((sp) => spellVoicing(sp, q.quality, q.inversion))
+      .sort((a, b) => cost(a) - cost(b))[0];
+  }
+
+  // Stacks the voicing upwards and picks the octave that sits it closest to the middle of the staff.
+  function chordStaffNotes(q, clef) {
+    const spell = staffSpellingFor(q); const mid = CLEFS[clef].bottomStep + 4;
+    let best = null;
+    for (let oct = 1; oct <= 6; oct++) {
+      const notes = stackedPitchesFromPcs(q.correctPcs, oct).map((p, i) => spelledNoteAtPitch(spell[i], p));
+      const steps = notes.map(staffStep);
+      const dist = Math.abs((steps[0] + steps[steps.length - 1]) / 2 - mid);
+      if (!best || dist < best.dist) best = { notes, dist };
+    }
+    return best.notes;
+  }
+
+  function glyphPathD(segs, x, y, s) {
+    return segs.map(([op, ...pts]) => `${op}${pts.map((v, i) => (i % 2 ? y + v * s : x + v * s).toFixed(2)).join(" ")}`).join(" ");
+  }
+
+  // Staff layout in SVG user units; shared by the on-screen staves and the vector PDFs.
+  function staffGeometry({ clef = "treble", notes = [], lo = null, hi = null, widthSpaces = null }) {
+    const { space: s, clefW, headW, accW, margin } = STAFF_GEOMETRY;
+    const c = CLEFS[clef] || CLEFS.treble;
+    const bottom = c.bottomStep; const top = bottom + 8;
+    const steps = notes.map(staffStep);
+    const lowStep = Math.min(lo ?? bottom - 2, ...steps.map((v) => v - 1));
+    const highStep = Math.max(hi ?? top + 2, ...steps.map((v) => v + 1));
+    const yForStep = (step) => s * (margin + (highStep - step) / 2);
+    const stepForY = (y) => Math.round(highStep - (y / s - margin) * 2);
+
+    // Accidentals take the first column (nearest the notes) with no other accidental within a sixth.
+    const order = notes.map((n, i) => i).sort((a, b) => steps[b] - steps[a]);
+    const cols = []; const accCol = new Map();
+    for (const i of order) {
+      if (!notes[i].acc) continue;
+      let col = 0;
+      while ((cols[col] || []).some((st) => Math.abs(st - steps[i]) < 6)) col++;
+      (cols[col] = cols[col] || []).push(steps[i]); accCol.set(i, col);
+    }
+    const noteX = s * (clefW + cols.length * accW + margin + headW / 2);
+
+    // Seconds sit side by side: the upper note of each adjacent pair moves right.
+    const shifted = new Set();
+    [...order].reverse().forEach((i, k, asc) => {
+      const prev = asc[k - 1];
+      if (prev != null && steps[i] - steps[prev] === 1 && !shifted.has(prev)) shifted.add(i);
+    });
+    const heads = notes.map((n, i) => ({ index: i, step: steps[i], x: noteX + (shifted.has(i) ? s * headW : 0), y: yForStep(steps[i]) }));
+    const accidentals = notes.flatMap((n, i) => (n.acc
+      ? [{ glyph: ACCIDENTAL_GLYPHS[n.acc], x: noteX - s * (headW / 2 + 0.25 + (accCol.get(i) + 0.5) * accW), y: yForStep(steps[i]) }]
+      : []));
+
+    const ledgers = [];
+    for (const h of heads) {
+      const add = (step) => ledgers.push({ x1: h.x - s * headW * 0.8, x2: h.x + s * headW * 0.8, y: yForStep(step) });
+      for (let st = bottom - 2; st >= h.step; st -= 2) add(st);
+      for (let st = top + 2; st <= h.step; st += 2) add(st);
+    }
+
+    const contentW = s * (clefW + cols.length * accW + margin * 2 + headW * (shifted.size ? 2 : 1) + 1);
+    const width = Math.max(contentW, (widthSpaces ?? 0) * s);
+    const lines = [0, 2, 4, 6, 8].map((d) => ({ x1: 0, x2: width, y: yForStep(bottom + d) }));
+    return {
+      clef: c, width, height: yForStep(lowStep) + s * margin, lowStep, highStep, lines, ledgers, heads, accidentals, noteX,
+      clefGlyph: { glyph: CLEF_GLYPHS[clef] || CLEF_GLYPHS.treble, x: s * 1.7, y: yForStep(c.anchorStep) },
+      yForStep, stepForY,
+    };
+  }
+
+  function glyphSvg(glyph, x, y, s, cls = "") {
+    const g = svgEl("g", { class: `glyph ${cls}`.trim() });
+    for (const part of glyph) {
+      if (part.dot) g.appendChild(svgEl("circle", { cx: x + part.dot[0] * s, cy: y + part.dot[1] * s, r: part.r * s }));
+      else g.appendChild(svgEl("path", { d: glyphPathD(part.d, x, y, s), "stroke-width": part.w * s }));
     }
+    return g;
+  }
 
+  function buildStaffSvg({ clef = "treble", notes = [], lo = null, hi = null, widthSpaces = null, ariaLabel = null, selectedIndex = null, cursorStep = null }) {
+    const geo = staffGeometry({ clef, notes, lo, hi, widthSpaces });
+    const s = STAFF_GEOMETRY.space;
+    const label = ariaLabel ?? `${geo.clef.label}: ${notes.length ? notes.map(staffNoteLabel).join(", ") : "empty"}`;
+    const svg = svgEl("svg", { width: geo.width, height: geo.height, viewBox: `0 0 ${geo.width} ${geo.height}`, role: "img", "aria-label": label });
+    const style = svgEl("style");
+    style.textContent = `
+      .staffLine, .ledger { stroke: #222; stroke-width: 1; }
+      .glyph path { fill: none; stroke: #111; stroke-linecap: round; }
+      .glyph circle { fill: #111; }
+      .head { fill: none; stroke: #111; stroke-width: ${s * 0.2}; }
+      .selected .head { stroke: var(--primary); }
+      .cursor { fill: var(--kbdHit); opacity: .25; }
+    `;
+    svg.appendChild(style);
+    if (cursorStep != null) svg.appendChild(svgEl("rect", { class: "cursor", x: geo.noteX - s * 1.2, y: geo.yForStep(cursorStep) - s / 2, width: s * 2.4, height: s, rx: 3 }));
+    for (const l of geo.lines) svg.appendChild(svgEl("line", { class: "staffLine", x1: l.x1, x2: l.x2, y1: l.y, y2: l.y }));
+    for (const l of geo.ledgers) svg.appendChild(svgEl("line", { class: "ledger", x1: l.x1, x2: l.x2, y1: l.y, y2: l.y }));
+    svg.appendChild(glyphSvg(geo.clefGlyph.glyph, geo.clefGlyph.x, geo.clefGlyph.y, s));
+    geo.accidentals.forEach((a) => svg.appendChild(glyphSvg(a.glyph, a.x, a.y, s)));
+    for (const h of geo.heads) {
+      const g = svgEl("g", { class: h.index === selectedIndex ? "selected" : "" });
+      g.appendChild(svgEl("ellipse", { class: "head", cx: h.x, cy: h.y, rx: s * STAFF_GEOMETRY.headW * 0.45, ry: s * 0.4 }));
+      svg.appendChild(g);
+    }
     return svg;
   }
 
+  function spokenPitchName(p) {
+    return `${PC_SPOKEN[pcFromPitch(p)]} ${octFromPitch(p)}`;
+  }
+
+  function announce(text) {
+    if (!srAnnouncer) return;
+    srAnnouncer.textContent = "";
+    window.setTimeout(() => { srAnnouncer.textContent = text; }, 50);
+  }
+
   function flashKeyGroup(groupEl, ms = 240) {
     if (!groupEl) return;
     groupEl.classList.add("hit");
@@ -467,31 +1384,29 @@
     return p;
   }
 
-  function triadRootPositionPitches(rootPc, quality, rootOct = 3) {
-    const rootPitch = pitchFromPcOct(rootPc, rootOct);
-    const thirdPitch = rootPitch + (quality === "major" ? 4 : 3);
-    const fifthPitch = rootPitch + 7;
-    return [rootPitch, thirdPitch, fifthPitch];
-  }
-
-  function answeredRootPositionPitches(userPcs, rootOct = 3) {
-    const [p0, p1, p2] = userPcs;
-    if (p0 == null && p1 == null && p2 == null) return [];
-
-    const rootPitch = p0 == null ? null : pitchFromPcOct(p0, rootOct);
-    const start = rootPitch == null ? pitchFromPcOct(0, rootOct) : rootPitch;
+  function stackedPitchesFromPcs(pcs, bassOct = 3) {
+    if (pcs.every((pc) => pc == null)) return [];
 
-    const first = rootPitch == null ? nextPitchAtOrAbove(p0 ?? 0, start) : rootPitch;
-    const third = p1 == null ? null : nextPitchAtOrAbove(p1, first + 1);
-    const fifth = p2 == null ? null : nextPitchAtOrAbove(p2, (third ?? first) + 1);
-
-    return [first, third, fifth].filter((v) => v != null);
+    const first = pitchFromPcOct(pcs[0] ?? 0, bassOct);
+    const out = pcs[0] == null ? [] : [first];
+    let prev = first;
+    for (let i = 1; i < pcs.length; i++) {
+      if (pcs[i] == null) continue;
+      prev = nextPitchAtOrAbove(pcs[i], prev + 1);
+      out.push(prev);
+    }
+    return out;
   }
 
   // -------------------- Game state --------------------
   const state = {
     started: false, submitted: false, questions: [], questionCount: 10,
-    createdOn: null, createdOnText: "", inputMode: INPUT_MODE.DROPDOWN,
+    createdOn: null, createdOnText: "", inputMode: INPUT_MODE.DROPDOWN, qwertyOctave: Q_KBD_START_OCT, qwertyQid: null, chordTypes: DEFAULT_CHORD_TYPES.slice(),
+    inversions: [0], strictSpelling: false,
+    questionType: QUESTION_TYPE.NOTES, listenStyle: "blocked", listenReplays: 3, listenNameRoot: true,
+    keys: [], answerQualities: DEFAULT_CHORD_TYPES.slice(), playerName: "", practiceWeak: false, seed: 0, quizCode: "",
+    challenge: CHALLENGE.OFF, quizMinutes: DEFAULT_QUIZ_MINUTES, questionSeconds: DEFAULT_QUESTION_SECONDS, currentIdx: 0, deadline: 0, streak: 0, highScoreId: "",
+    checkAsYouGo: false, quizFile: null, quizFileBundle: null,
   };
 
   function clampQuestions(n) {
@@ -500,486 +1415,2571 @@
     return Math.min(24, Math.max(1, Math.round(v)));
   }
 
-  function generateQuestions(count) {
-    const target = clampQuestions(count);
-    const pool = [];
-    for (let rootPc = 0; rootPc < 12; rootPc++) {
-      pool.push({ rootPc, quality: "major" });
-      pool.push({ rootPc, quality: "minor" });
-    }
+  // -------------------- Seeds & quiz codes --------------------
+  // mulberry32: small, fast and identical in every browser, so a seed always rebuilds the same quiz.
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
 
-    for (let i = pool.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [pool[i], pool[j]] = [pool[j], pool[i]];
-    }
+  function newSeed() {
+    try { return window.crypto.getRandomValues(new Uint32Array(1))[0]; } catch { return Math.floor(Math.random() * 4294967296); }
+  }
 
-    const picked = pool.slice(0, Math.min(target, pool.length));
-    while (picked.length < target) {
-      picked.push(pool[Math.floor(Math.random() * pool.length)]);
+  function bitMask(values, all) {
+    return all.reduce((m, v, i) => (values.includes(v) ? m | (1 << i) : m), 0);
+  }
+
+  function fromBitMask(mask, all) {
+    return all.filter((_, i) => mask & (1 << i));
+  }
+
+  function keyCode(id) {
+    const key = parseKeyId(id);
+    return key ? `${spelledLabel(key.tonic)}${key.scale === "major" ? "M" : "m"}` : "";
+  }
+
+  function keyIdFromCode(code) {
+    const m = /^([A-G](?:bb|b|##|#)?)([Mm])$/.exec(code);
+    return m ? `${m[1]}-${m[2] === "M" ? "major" : "harmonicMinor"}` : null;
+  }
+
+  function encodeQuizCode() {
+    const chordTypes = Object.keys(CHORD_TYPES);
+    return [
+      QUIZ_CODE_VERSION, (state.seed >>> 0).toString(36), state.questionCount, QUESTION_TYPE_CODES[state.questionType],
+      bitMask(state.chordTypes, chordTypes).toString(36), bitMask(state.inversions, [0, 1, 2, 3]).toString(36),
+      (state.strictSpelling ? 1 : 0) | (state.listenNameRoot ? 2 : 0) | (state.checkAsYouGo ? 4 : 0), INPUT_MODE_CODES[state.inputMode],
+      `${LISTEN_STYLE_CODES[state.listenStyle]}${state.listenReplays + 1}`, state.keys.map(keyCode).join("+"),
+      ...(state.challenge === CHALLENGE.OFF ? [] : [challengeCode()]),
+    ].join("-");
+  }
+
+  function challengeCode() {
+    const amount = { quiz: state.quizMinutes, question: state.questionSeconds }[state.challenge] ?? "";
+    return `${CHALLENGE_CODES[state.challenge]}${amount}`;
+  }
+
+  function decodeQuizCode(code) {
+    const parts = String(code ?? "").trim().split("-");
+    if (parts.length < 10 || parts.length > 11 || parts[0] !== QUIZ_CODE_VERSION) return null;
+    const [, seed, count, type, chords, inversions, flags, mode, listen, keys, challenge = ""] = parts;
+    const find = (codes, c) => Object.keys(codes).find((k) => codes[k] === c);
+    const opts = {
+      seed: parseInt(seed, 36), questionCount: Number(count), questionType: find(QUESTION_TYPE_CODES, type),
+      chordTypes: fromBitMask(parseInt(chords, 36), Object.keys(CHORD_TYPES)), inversions: fromBitMask(parseInt(inversions, 36), [0, 1, 2, 3]),
+      strictSpelling: !!(Number(flags) & 1), listenNameRoot: !!(Number(flags) & 2), checkAsYouGo: !!(Number(flags) & 4), inputMode: find(INPUT_MODE_CODES, mode),
+      listenStyle: find(LISTEN_STYLE_CODES, listen[0]), listenReplays: Number(listen.slice(1)) - 1,
+      keys: keys ? keys.split("+").map(keyIdFromCode) : [],
+      challenge: challenge ? find(CHALLENGE_CODES, challenge[0]) : CHALLENGE.OFF,
+      quizMinutes: challenge[0] === CHALLENGE_CODES.quiz ? Number(challenge.slice(1)) : DEFAULT_QUIZ_MINUTES,
+      questionSeconds: challenge[0] === CHALLENGE_CODES.question ? Number(challenge.slice(1)) : DEFAULT_QUESTION_SECONDS,
+    };
+    const valid = Number.isFinite(opts.seed) && clampQuestions(opts.questionCount) === opts.questionCount && opts.questionType
+      && opts.chordTypes.length && opts.inversions.length && opts.inputMode && opts.listenStyle && opts.listenReplays >= -1
+      && opts.keys.every(Boolean) && opts.challenge && QUIZ_TIME_MINUTES.includes(opts.quizMinutes)
+      && QUESTION_TIME_SECONDS.includes(opts.questionSeconds);
+    return valid ? opts : null;
+  }
+
+  // Shared links leave out the LMS launch parameters: they belong to one student's session (and carry its credentials).
+  function quizUrl(code, { share = false } = {}) {
+    const url = new URL(window.location.href);
+    if (code) url.searchParams.set(QUIZ_CODE_PARAM, code); else url.searchParams.delete(QUIZ_CODE_PARAM);
+    if (state.started && state.quizFileBundle) url.searchParams.set(QUIZ_FILE_PARAM, state.quizFileBundle); else if (state.started) url.searchParams.delete(QUIZ_FILE_PARAM);
+    if (share) XAPI_LAUNCH_PARAMS.forEach((p) => url.searchParams.delete(p));
+    return url.toString();
+  }
+
+  function syncQuizCode() {
+    state.quizCode = state.started && !state.practiceWeak && !state.quizFile ? encodeQuizCode() : "";
+    try { window.history.replaceState(null, "", quizUrl(state.quizCode)); } catch {}
+    renderQuizCode();
+  }
+
+  function renderQuizCode() {
+    quizMeta.innerHTML = "";
+    if (quizInstructions) { quizInstructions.textContent = state.started ? state.quizFile?.instructions ?? "" : ""; quizInstructions.classList.toggle("hidden", !quizInstructions.textContent); }
+    if (!state.started) return;
+    if (state.quizFile) { quizMeta.innerHTML = `Quiz: <strong>${escapeHtml(state.quizFile.title)}</strong>`; return; }
+    if (!state.quizCode) { quizMeta.textContent = "Personal practice quiz (no quiz code)"; return; }
+    const label = document.createElement("span"); label.innerHTML = `Quiz code: <code class="quizCode">${escapeHtml(state.quizCode)}</code>`;
+    const btn = document.createElement("button"); btn.type = "button"; btn.className = "smallBtn"; btn.textContent = "Copy link";
+    btn.addEventListener("click", async () => {
+      const url = quizUrl(state.quizCode, { share: true });
+      try { await navigator.clipboard.writeText(url); btn.textContent = "Link copied"; announce("Quiz link copied"); }
+      catch { window.prompt("Copy this quiz link:", url); }
+    });
+    quizMeta.appendChild(label); quizMeta.appendChild(btn);
+  }
+
+  function applyQuizOptionsToControls(opts) {
+    if (questionCountSelect) questionCountSelect.value = String(opts.questionCount);
+    if (questionTypeSelect) questionTypeSelect.value = opts.questionType;
+    if (listenStyleSelect) listenStyleSelect.value = opts.listenStyle;
+    if (listenReplaysSelect) listenReplaysSelect.value = String(opts.listenReplays);
+    if (listenNameRootCheck) listenNameRootCheck.checked = opts.listenNameRoot;
+    if (chordSourceSelect) chordSourceSelect.value = opts.keys.length ? "key" : "random";
+    keyChecks.forEach((c) => { c.checked = opts.keys.includes(c.value); });
+    chordTypeChecks.forEach((c) => { c.checked = opts.chordTypes.includes(c.value); });
+    inversionChecks.forEach((c) => { c.checked = opts.inversions.includes(Number(c.value)); });
+    if (strictSpellingCheck) strictSpellingCheck.checked = opts.strictSpelling;
+    if (practiceWeakCheck) practiceWeakCheck.checked = false;
+    if (challengeSelect) challengeSelect.value = opts.challenge ?? CHALLENGE.OFF;
+    if (checkAsYouGoCheck) checkAsYouGoCheck.checked = !!opts.checkAsYouGo;
+    if (quizMinutesSelect) quizMinutesSelect.value = String(opts.quizMinutes ?? DEFAULT_QUIZ_MINUTES);
+    if (questionSecondsSelect) questionSecondsSelect.value = String(opts.questionSeconds ?? DEFAULT_QUESTION_SECONDS);
+    updateChallengeOptions(); updatePageAdvice(); updateChordTypeSelection(); updateInversionSelection(); updateStrictSpelling(); updateListenOptions(); updatePlayerOptions();
+    state.keys = opts.keys.slice();
+  }
+
+  function quizCodeFromUrl() {
+    try { return new URL(window.location.href).searchParams.get(QUIZ_CODE_PARAM) || ""; } catch { return ""; }
+  }
+
+  function startFromQuizCode(code) {
+    const opts = code ? decodeQuizCode(code) : null;
+    if (!opts) return;
+    setQuizFile(null);
+    applyQuizOptionsToControls(opts);
+    startGame({ seed: opts.seed, inputMode: opts.inputMode });
+  }
+
+  // -------------------- Quiz files (teacher-authored) --------------------
+  // Format: quizzes/quiz.schema.json. A loaded file fixes the chords and their order, and sets the options below it.
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  // Checks a parsed file against the schema and fills in its defaults; every error names the field at fault.
+  function validateQuizFile(data) {
+    if (!isPlainObject(data)) return { quiz: null, errors: ["The file does not contain a quiz: expected a JSON object { ... }."] };
+    const errors = [];
+    const err = (path, msg) => errors.push(`${path}: ${msg}`);
+    const list = (values) => values.map((v) => JSON.stringify(v)).join(", ");
+    const onlyKeys = (obj, keys, path) => Object.keys(obj).filter((k) => !keys.includes(k)).forEach((k) => err(`${path}${k}`, "is not a quiz file field (check the spelling)"));
+
+    if (data.format !== QUIZ_FILE_FORMAT) err("format", `must be "${QUIZ_FILE_FORMAT}"`);
+    if (data.version !== QUIZ_FILE_VERSION) err("version", `must be ${QUIZ_FILE_VERSION}; this version of the app cannot read other quiz file versions`);
+    onlyKeys(data, ["$schema", "format", "version", "title", "instructions", "questionType", "inputMode", "marking", "listening", "chords"], "");
+    const title = typeof data.title === "string" ? data.title.trim() : "";
+    if (!title || title.length > 80) err("title", "must be text of 1 to 80 characters");
+    if (data.instructions != null && (typeof data.instructions !== "string" || data.instructions.length > 600)) err("instructions", "must be text of at most 600 characters");
+    const questionType = data.questionType ?? QUESTION_TYPE.NOTES;
+    if (!Object.values(QUESTION_TYPE).includes(questionType)) err("questionType", `must be one of ${list(Object.values(QUESTION_TYPE))}`);
+    const inputMode = data.inputMode ?? INPUT_MODE.DROPDOWN;
+    if (!INPUT_MODE_ORDER.includes(inputMode)) err("inputMode", `must be one of ${list(INPUT_MODE_ORDER)}`);
+
+    const marking = data.marking ?? {};
+    if (!isPlainObject(marking)) err("marking", "must be an object like { \"strictSpelling\": true }");
+    else {
+      onlyKeys(marking, ["strictSpelling", "checkAsYouGo", "nameRoot"], "marking.");
+      ["strictSpelling", "checkAsYouGo", "nameRoot"].forEach((k) => { if (marking[k] != null && typeof marking[k] !== "boolean") err(`marking.${k}`, "must be true or false"); });
+    }
+    const listening = data.listening ?? {};
+    if (!isPlainObject(listening)) err("listening", "must be an object like { \"style\": \"up\", \"replays\": 2 }");
+    else {
+      onlyKeys(listening, ["style", "replays"], "listening.");
+      if (listening.style != null && !LISTEN_STYLES[listening.style]) err("listening.style", `must be one of ${list(Object.keys(LISTEN_STYLES))}`);
+      if (listening.replays != null && !LISTEN_REPLAYS.includes(listening.replays)) err("listening.replays", `must be one of ${list(LISTEN_REPLAYS)} (-1 is unlimited)`);
+    }
+
+    const chords = [];
+    if (!Array.isArray(data.chords) || !data.chords.length || data.chords.length > QUIZ_FILE_MAX_CHORDS) err("chords", `must be a list of 1 to ${QUIZ_FILE_MAX_CHORDS} chords`);
+    else data.chords.forEach((c, i) => {
+      const path = `chords[${i}] (chord ${i + 1})`;
+      if (!isPlainObject(c)) { err(path, "must be an object like { \"root\": \"Eb\", \"quality\": \"major\" }"); return; }
+      onlyKeys(c, ["root", "quality", "inversion", "ask"], `${path}.`);
+      const parsed = typeof c.root === "string" ? parseNoteText(c.root).notes : [];
+      const rootSpell = parsed.length === 1 && parsed[0] ? SPELLED_ROOTS.find((sp) => sameSpelling(sp, parsed[0])) : null;
+      if (!rootSpell) err(`${path}.root`, `${JSON.stringify(c.root ?? null)} is not a root note this quiz can use (${SPELLED_ROOTS.map(spelledLabel).join(", ")})`);
+      if (!CHORD_TYPES[c.quality]) err(`${path}.quality`, `${JSON.stringify(c.quality ?? null)} is not a chord type (${list(Object.keys(CHORD_TYPES))})`);
+      const size = CHORD_TYPES[c.quality]?.intervals.length ?? 3;
+      const inversion = c.inversion ?? 0;
+      if (!Number.isInteger(inversion) || inversion < 0 || inversion >= size) err(`${path}.inversion`, `must be a whole number from 0 (root position) to ${size - 1} for this chord`);
+      if (c.ask != null && questionType !== QUESTION_TYPE.MIXED) err(`${path}.ask`, "only applies to \"mixed\" quizzes");
+      else if (c.ask != null && ![QUESTION_TYPE.NOTES, QUESTION_TYPE.NAME].includes(c.ask)) err(`${path}.ask`, "must be \"notes\" or \"name\"");
+      chords.push({ root: rootSpell ? spelledLabel(rootSpell) : null, quality: c.quality, inversion, ...(c.ask ? { ask: c.ask } : {}) });
+    });
+    if (errors.length) return { quiz: null, errors };
+
+    return {
+      quiz: {
+        format: QUIZ_FILE_FORMAT, version: QUIZ_FILE_VERSION, title, instructions: (data.instructions ?? "").trim(), questionType,
+        inputMode: questionType === QUESTION_TYPE.LISTEN ? INPUT_MODE.DROPDOWN : inputMode,
+        marking: { strictSpelling: !!marking.strictSpelling, checkAsYouGo: !!marking.checkAsYouGo, nameRoot: marking.nameRoot ?? true },
+        listening: { style: listening.style ?? "blocked", replays: listening.replays ?? 3 },
+        chords,
+      },
+      errors: [],
+    };
+  }
+
+  function parseQuizFileText(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return { quiz: null, errors: [`This is not a valid JSON file: ${e.message}`] }; }
+    return validateQuizFile(data);
+  }
+
+  // Mixed quizzes alternate writing and naming unless a chord says which it wants.
+  function questionsFromQuizFile(quiz) {
+    return quiz.chords.map((c, i) => {
+      const sp = parseNoteText(c.root).notes[0];
+      const kind = quiz.questionType === QUESTION_TYPE.MIXED ? c.ask || (i % 2 ? QUESTION_TYPE.NAME : QUESTION_TYPE.NOTES) : quiz.questionType;
+      return makeQuestion({ rootPc: spelledPc(sp), rootSpell: quiz.marking.strictSpelling ? sp : null, quality: c.quality, inversion: c.inversion }, kind, `q${i + 1}`, quiz.marking.nameRoot);
+    });
+  }
+
+  function quizFileOptions(quiz) {
+    return {
+      questionCount: quiz.chords.length, questionType: quiz.questionType, listenStyle: quiz.listening.style, listenReplays: quiz.listening.replays,
+      listenNameRoot: quiz.marking.nameRoot, keys: [], strictSpelling: quiz.marking.strictSpelling, checkAsYouGo: quiz.marking.checkAsYouGo,
+      chordTypes: Object.keys(CHORD_TYPES).filter((t) => quiz.chords.some((c) => c.quality === t)),
+      inversions: [0, 1, 2, 3].filter((n) => quiz.chords.some((c) => c.inversion === n)),
+      challenge: CHALLENGE.OFF, quizMinutes: DEFAULT_QUIZ_MINUTES, questionSeconds: DEFAULT_QUESTION_SECONDS,
+    };
+  }
+
+  function startQuizFile(quiz) {
+    state.quizFile = quiz;
+    applyQuizOptionsToControls(quizFileOptions(quiz));
+    renderQuizFileStatus();
+    startGame({ inputMode: quiz.inputMode });
+  }
+
+  function setQuizFile(quiz, { bundle = null } = {}) {
+    state.quizFile = quiz; state.quizFileBundle = quiz ? bundle : null;
+    if (quiz) applyQuizOptionsToControls(quizFileOptions(quiz));
+    renderQuizFileStatus();
+  }
+
+  function renderQuizFileStatus(errors = []) {
+    if (!quizFileStatus) return;
+    const quiz = state.quizFile;
+    quizFileRemoveBtn?.classList.toggle("hidden", !quiz);
+    if (errors.length) {
+      const still = quiz ? ` Still using <strong>${escapeHtml(quiz.title)}</strong>.` : "";
+      quizFileStatus.innerHTML = `<span class="bad">That quiz file could not be used:</span><ul class="quizFileErrors">${errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("")}</ul>${still}`;
+    } else if (quiz) {
+      quizFileStatus.innerHTML = `Loaded <strong>${escapeHtml(quiz.title)}</strong> (${quiz.chords.length} chord${quiz.chords.length === 1 ? "" : "s"}). Begin Game starts it; its settings replace the options below.`;
+    } else {
+      quizFileStatus.textContent = "Optional: a quiz file from your teacher sets the chords, their order and the marking.";
+    }
+  }
+
+  async function readQuizFileInput(file) {
+    try { return parseQuizFileText(await file.text()); } catch { return { quiz: null, errors: ["The file could not be read."] }; }
+  }
+
+  async function loadBundledQuizFile(name) {
+    let result;
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) result = { quiz: null, errors: [`${QUIZ_FILE_PARAM}: "${name}" is not a quiz file name (letters, numbers, - and _ only).`] };
+    else {
+      try {
+        const res = await fetch(`${QUIZ_FILE_DIR}/${name}.json`);
+        result = res.ok ? parseQuizFileText(await res.text()) : { quiz: null, errors: [`There is no bundled quiz file called "${name}".`] };
+      } catch {
+        result = { quiz: null, errors: [`The quiz file "${name}" could not be downloaded.`] };
+      }
+    }
+    if (!result.quiz) { renderQuizFileStatus(result.errors); return; }
+    setQuizFile(result.quiz, { bundle: name });
+    startQuizFile(result.quiz);
+  }
+
+  function quizFileParamFromUrl() {
+    try { return new URL(window.location.href).searchParams.get(QUIZ_FILE_PARAM) || ""; } catch { return ""; }
+  }
+
+  function quizFileName(title) {
+    return `${title.replace(/[^\w -]+/g, "").trim().replace(/\s+/g, " ") || "Quiz"}.json`;
+  }
+
+  // -------------------- Quiz file editor --------------------
+  const quizEditor = { target: "begin" };
+
+  function chordSelect(options, value, label) {
+    const sel = document.createElement("select"); sel.setAttribute("aria-label", label);
+    for (const [v, text] of options) {
+      const opt = document.createElement("option"); opt.value = v; opt.textContent = text; sel.appendChild(opt);
+    }
+    sel.value = value;
+    return sel;
+  }
+
+  function inversionOptions(quality) {
+    return ["Root position", "1st inversion", "2nd inversion", "3rd inversion"].slice(0, chordType(quality).intervals.length).map((t, i) => [String(i), t]);
+  }
+
+  function addQuizEditorRow(chord = { root: "C", quality: "major", inversion: 0 }) {
+    const tr = document.createElement("tr");
+    const cells = Array.from({ length: 6 }, () => document.createElement("td"));
+    const root = chordSelect(SPELLED_ROOTS.map((sp) => [spelledLabel(sp), spelledLabel(sp)]), chord.root, "Root");
+    const quality = chordSelect(Object.entries(CHORD_TYPES).map(([k, t]) => [k, t.label]), chord.quality, "Chord type");
+    const inversion = chordSelect(inversionOptions(chord.quality), String(chord.inversion ?? 0), "Position");
+    const ask = chordSelect([["", "Alternate"], [QUESTION_TYPE.NOTES, "Write notes"], [QUESTION_TYPE.NAME, "Name chord"]], chord.ask ?? "", "Ask");
+    root.dataset.field = "root"; quality.dataset.field = "quality"; inversion.dataset.field = "inversion"; ask.dataset.field = "ask";
+    quality.addEventListener("change", () => {
+      const keep = Math.min(Number(inversion.value), chordType(quality.value).intervals.length - 1);
+      inversion.innerHTML = ""; inversionOptions(quality.value).forEach(([v, t]) => { const o = document.createElement("option"); o.value = v; o.textContent = t; inversion.appendChild(o); });
+      inversion.value = String(keep);
+    });
+    const actions = [["↑", "Move up", () => tr.previousElementSibling?.before(tr)], ["↓", "Move down", () => tr.nextElementSibling?.after(tr)], ["✕", "Remove", () => tr.remove()]];
+    for (const [text, label, act] of actions) {
+      const b = document.createElement("button"); b.type = "button"; b.textContent = text; b.setAttribute("aria-label", label);
+      b.addEventListener("click", () => { act(); refreshQuizEditor(); });
+      cells[5].appendChild(b);
+    }
+    [root, quality, inversion, ask].forEach((el, i) => cells[i + 1].appendChild(el));
+    cells.forEach((td) => tr.appendChild(td));
+    qeChords.appendChild(tr);
+  }
+
+  function quizEditorData() {
+    const questionType = qeQuestionType.value;
+    const data = {
+      format: QUIZ_FILE_FORMAT, version: QUIZ_FILE_VERSION, title: qeTitle.value.trim(), instructions: qeInstructions.value.trim(),
+      questionType, inputMode: qeInputMode.value,
+      marking: { strictSpelling: qeStrictSpelling.checked, checkAsYouGo: qeCheckAsYouGo.checked },
+      chords: Array.from(qeChords.rows).map((tr) => {
+        const f = (name) => tr.querySelector(`[data-field="${name}"]`).value;
+        return { root: f("root"), quality: f("quality"), inversion: Number(f("inversion")), ...(questionType === QUESTION_TYPE.MIXED && f("ask") ? { ask: f("ask") } : {}) };
+      }),
+    };
+    if (!data.instructions) delete data.instructions;
+    if (questionType === QUESTION_TYPE.LISTEN) {
+      data.marking.nameRoot = qeNameRoot.checked;
+      data.listening = { style: qeListenStyle.value, replays: Number(qeListenReplays.value) };
+    }
+    return data;
+  }
+
+  function refreshQuizEditor() {
+    Array.from(qeChords.rows).forEach((tr, i) => {
+      tr.cells[0].textContent = String(i + 1);
+      tr.querySelector("[data-field='ask']").disabled = qeQuestionType.value !== QUESTION_TYPE.MIXED;
+    });
+    qeListenRow.classList.toggle("hidden", qeQuestionType.value !== QUESTION_TYPE.LISTEN);
+    qeInputMode.disabled = qeQuestionType.value === QUESTION_TYPE.LISTEN;
+    qeAddChordBtn.disabled = qeChords.rows.length >= QUIZ_FILE_MAX_CHORDS;
+    const { errors } = validateQuizFile(quizEditorData());
+    qeErrors.innerHTML = errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+    return errors;
+  }
+
+  function fillQuizEditor(quiz) {
+    qeTitle.value = quiz?.title ?? ""; qeInstructions.value = quiz?.instructions ?? "";
+    qeQuestionType.value = quiz?.questionType ?? QUESTION_TYPE.NOTES; qeInputMode.value = quiz?.inputMode ?? INPUT_MODE.DROPDOWN;
+    qeStrictSpelling.checked = !!quiz?.marking.strictSpelling; qeCheckAsYouGo.checked = !!quiz?.marking.checkAsYouGo;
+    qeNameRoot.checked = quiz?.marking.nameRoot ?? true;
+    qeListenStyle.value = quiz?.listening.style ?? "blocked"; qeListenReplays.value = String(quiz?.listening.replays ?? 3);
+    qeChords.innerHTML = "";
+    (quiz?.chords ?? [{ root: "C", quality: "major", inversion: 0 }]).forEach((c) => addQuizEditorRow(c));
+    refreshQuizEditor();
+  }
+
+  function openQuizEditor() {
+    fillQuizEditor(state.quizFile);
+    quizEditorModal.classList.remove("hidden"); qeTitle.focus();
+  }
+
+  function closeQuizEditor() {
+    quizEditorModal.classList.add("hidden"); quizEditorBtn?.focus();
+  }
+
+  function useQuizEditorQuiz() {
+    const errors = refreshQuizEditor();
+    if (errors.length) { announce(`The quiz has ${errors.length} problem${errors.length === 1 ? "" : "s"} to fix.`); qeErrors.scrollIntoView({ block: "nearest" }); return; }
+    setQuizFile(validateQuizFile(quizEditorData()).quiz);
+    closeQuizEditor();
+  }
+
+  function downloadQuizEditorFile() {
+    const errors = refreshQuizEditor();
+    if (errors.length) { announce("Fix the problems listed before downloading."); return; }
+    const data = quizEditorData();
+    downloadTextFile(quizFileName(data.title), `${JSON.stringify(data, null, 2)}\n`, "application/json");
+  }
+
+  function pickQuizFile(target) {
+    quizEditor.target = target; quizFileInput.value = ""; quizFileInput.click();
+  }
+
+  async function handleQuizFilePicked() {
+    const file = quizFileInput.files?.[0];
+    if (!file) return;
+    const { quiz, errors } = await readQuizFileInput(file);
+    if (quizEditor.target === "editor") {
+      if (quiz) fillQuizEditor(quiz);
+      else qeErrors.innerHTML = errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+      return;
+    }
+    if (quiz) setQuizFile(quiz); else renderQuizFileStatus(errors);
+    announce(quiz ? `Quiz file ${quiz.title} loaded.` : "That quiz file could not be used.");
+  }
+
+  // -------------------- Saved session (resume) --------------------
+  const SESSION_STATE_FIELDS = [
+    "questionCount", "inputMode", "chordTypes", "inversions", "strictSpelling", "questionType", "listenStyle", "listenReplays",
+    "listenNameRoot", "keys", "answerQualities", "practiceWeak", "seed", "challenge", "quizMinutes", "questionSeconds",
+    "currentIdx", "deadline", "streak", "checkAsYouGo", "quizFile", "quizFileBundle", "quizCode",
+  ];
+
+  function answerChanged(q) {
+    if (!state.started || state.submitted || !q) return;
+    // Typed and staff notes are only checked on request: "C E G" is complete long before "C E Gb" is.
+    const spelledAsYouGo = [INPUT_MODE.TEXT, INPUT_MODE.STAFF].includes(state.inputMode);
+    if (checkingAsYouGo() && !q.checked && (isNamingQuestion(q) || !spelledAsYouGo) && questionComplete(q)) checkQuestion(q);
+    else saveSession();
+    postToHost("triads:answerChanged", { question: embedQuestionState(q) });
+  }
+
+  function saveSession() {
+    if (!state.started) return;
+    const saved = { version: SESSION_VERSION, savedAt: new Date().toISOString(), playerName: state.playerName };
+    for (const f of SESSION_STATE_FIELDS) saved[f] = state[f];
+    saved.createdOn = state.createdOn?.toISOString() ?? null;
+    saved.submitted = state.submitted; saved.submittedOn = state.submittedOn?.toISOString() ?? null;
+    saved.questions = state.questions;
+    writeJsonStorage(SESSION_KEY, saved);
+  }
+
+  function clearSession() {
+    try { localStorage.removeItem(SESSION_KEY); } catch {}
+  }
+
+  function loadSession() {
+    const saved = readJsonStorage(SESSION_KEY, null);
+    if (!saved || saved.version !== SESSION_VERSION || !Array.isArray(saved.questions) || !saved.questions.length) return null;
+    if (!INPUT_MODE_ORDER.includes(saved.inputMode) || !Object.values(QUESTION_TYPE).includes(saved.questionType)) return null;
+    return saved;
+  }
+
+  function offerSavedSession() {
+    const saved = loadSession();
+    if (!saved || !resumeModal) return false;
+    const when = new Date(saved.createdOn || saved.savedAt);
+    const date = Number.isNaN(when.getTime()) ? "earlier" : when.toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+    const answered = saved.questions.filter((q) => (q.userPcs || []).some((pc) => pc != null) || q.userQuality).length;
+    resumeText.textContent = `Resume your quiz from ${date}? ${saved.submitted ? "It has been marked." : `${answered} of ${saved.questions.length} questions answered.`}`;
+    beginModal.classList.add("hidden"); resumeModal.classList.remove("hidden");
+    resumeBtn.focus();
+    return true;
+  }
+
+  function resumeSession() {
+    const saved = loadSession();
+    resumeModal.classList.add("hidden");
+    if (!saved) { resetGameToInitial(); return; }
+    applyQuizOptionsToControls(saved);
+    if (playerNameInput && saved.playerName) playerNameInput.value = saved.playerName;
+    if (practiceWeakCheck) practiceWeakCheck.checked = !!saved.practiceWeak;
+    updatePlayerOptions();
+    for (const f of SESSION_STATE_FIELDS) state[f] = saved[f];
+    state.started = true; state.submitted = false; state.questions = saved.questions;
+    state.createdOn = saved.createdOn ? new Date(saved.createdOn) : new Date(); state.createdOnText = state.createdOn.toLocaleDateString("en-GB");
+    state.submittedOn = saved.submittedOn ? new Date(saved.submittedOn) : null;
+    showStartedQuiz();
+    if (saved.submitted) markAll({ restoring: true }); else startChallengeTimer();
+    renderQuizFileStatus();
+    announce(saved.submitted ? "Marked quiz restored." : "Quiz restored. Your answers have been kept.");
+    postToHost("triads:started", { state: embedSnapshot(), resumed: true });
+  }
+
+  function discardSavedSession() {
+    resumeModal.classList.add("hidden");
+    clearSession();
+    if (offeredLink) startFromLink(offeredLink); else beginModal.classList.remove("hidden");
+  }
+
+  // A quiz link starts its quiz, but a reload of the page (the link now names the running quiz) offers the saved answers
+  // first; "Start new" then starts the linked quiz afresh.
+  let offeredLink = null;
+  function startFromLink(link) {
+    offeredLink = null;
+    if (!link.code && !link.fileParam) { offerSavedSession(); return; }
+    const saved = loadSession();
+    if (saved && (link.code ? saved.quizCode === link.code : saved.quizFileBundle === link.fileParam) && offerSavedSession()) { offeredLink = link; return; }
+    if (link.code) startFromQuizCode(link.code); else loadBundledQuizFile(link.fileParam);
+  }
+
+  // -------------------- Mastery (spaced repetition) --------------------
+  function readJsonStorage(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function writeJsonStorage(key, value) {
+    try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+  }
+
+  function masteryKey(item) {
+    const root = item.rootSpell ? spelledLabel(item.rootSpell) : noteLabelForPc(item.rootPc);
+    return `${root}|${item.quality}|${item.inversion || 0}`;
+  }
+
+  function masteryPlayer() {
+    return state.playerName || "Player";
+  }
+
+  function loadMastery(player = masteryPlayer()) {
+    const all = readJsonStorage(MASTERY_KEY, {});
+    return all && typeof all[player] === "object" ? all[player] : {};
+  }
+
+  function saveMastery(record, player = masteryPlayer()) {
+    const all = readJsonStorage(MASTERY_KEY, {}) || {};
+    all[player] = record;
+    writeJsonStorage(MASTERY_KEY, all);
+  }
+
+  function resetMastery(player = masteryPlayer()) {
+    const all = readJsonStorage(MASTERY_KEY, {}) || {};
+    delete all[player];
+    writeJsonStorage(MASTERY_KEY, all);
+  }
+
+  function masteryDueAt(entry) {
+    return entry.lastSeen + MASTERY_INTERVAL_DAYS[Math.min(MASTERY_MAX_BOX, entry.box)] * DAY_MS;
+  }
+
+  // Low boxes weigh more, and overdue chords grow heavier the longer they have been left.
+  function masteryWeight(entry, now = Date.now()) {
+    if (!entry) return 3;
+    const base = MASTERY_MAX_BOX + 1 - Math.min(MASTERY_MAX_BOX, entry.box);
+    const overdueDays = (now - masteryDueAt(entry)) / DAY_MS;
+    if (overdueDays < 0) return base * 0.25;
+    return base * Math.min(3, 1 + overdueDays / 2);
+  }
+
+  function recordMastery(questions, now = Date.now()) {
+    const record = loadMastery();
+    for (const q of questions) {
+      const key = masteryKey(q);
+      const entry = record[key] || { box: 0, seen: 0, correct: 0, lastSeen: now };
+      const right = q.marks === questionMaxMarks(q);
+      entry.seen += 1;
+      if (right) { entry.correct += 1; entry.box = Math.min(MASTERY_MAX_BOX, entry.box + 1); } else entry.box = 0;
+      entry.lastSeen = now;
+      record[key] = entry;
+    }
+    saveMastery(record);
+  }
+
+  function weightedSample(items, count, weightFor, random = Math.random) {
+    return items
+      .map((item) => ({ item, key: Math.pow(random(), 1 / Math.max(1e-6, weightFor(item))) }))
+      .sort((a, b) => b.key - a.key)
+      .slice(0, count)
+      .map((x) => x.item);
+  }
+
+  function buildKeyQuestionPool(keyIds, inversions, strictSpelling = false) {
+    const pool = [];
+    for (const key of keyIds.map(parseKeyId).filter(Boolean)) {
+      for (const triad of diatonicTriads(key)) {
+        for (const inversion of inversions) {
+          if (inversion > 2) continue;
+          pool.push({
+            rootPc: triad.rootPc, rootSpell: strictSpelling ? triad.rootSpell : null,
+            quality: triad.quality, inversion, keyId: key.id, degree: triad.degree,
+          });
+        }
+      }
+    }
+    return pool;
+  }
+
+  function keyQualities(keyIds) {
+    const out = [];
+    for (const key of keyIds.map(parseKeyId).filter(Boolean)) {
+      for (const quality of SCALES[key.scale].qualities) if (!out.includes(quality)) out.push(quality);
+    }
+    return Object.keys(CHORD_TYPES).filter((t) => out.includes(t));
+  }
+
+  function buildQuestionPool(qualities, inversions, strictSpelling = false) {
+    const roots = strictSpelling
+      ? SPELLED_ROOTS.map((sp) => ({ rootPc: spelledPc(sp), rootSpell: sp }))
+      : Array.from({ length: 12 }, (_, rootPc) => ({ rootPc, rootSpell: null }));
+    const pool = [];
+    for (const root of roots) {
+      for (const quality of qualities) {
+        const size = chordType(quality).intervals.length;
+        for (const inversion of inversions) if (inversion < size) pool.push({ ...root, quality, inversion });
+      }
+    }
+    return pool;
+  }
+
+  function generateQuestions(count, {
+    chordTypes = DEFAULT_CHORD_TYPES, inversions = [0], strictSpelling = false,
+    questionType = QUESTION_TYPE.NOTES, nameRoot = true, keys = [], weightFor = null, random = Math.random, idOffset = 0,
+  } = {}) {
+    const target = clampQuestions(count);
+    const qualities = chordTypes.filter((t) => CHORD_TYPES[t]);
+    let pool = keys.length
+      ? buildKeyQuestionPool(keys, inversions, strictSpelling)
+      : buildQuestionPool(qualities.length ? qualities : DEFAULT_CHORD_TYPES, inversions, strictSpelling);
+    if (!pool.length && keys.length) pool = buildKeyQuestionPool(keys, [0], strictSpelling);
+    if (!pool.length) pool = buildQuestionPool(qualities.length ? qualities : DEFAULT_CHORD_TYPES, [0], strictSpelling);
+
+    if (weightFor) pool = weightedSample(pool, pool.length, weightFor, random);
+    else {
+      for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+    }
+
+    const picked = pool.slice(0, Math.min(target, pool.length));
+    while (picked.length < target) {
+      picked.push(pool[Math.floor(random() * pool.length)]);
+    }
+
+    const kinds = picked.map((_, i) => {
+      if (questionType === QUESTION_TYPE.MIXED) return (idOffset + i) % 2 ? QUESTION_TYPE.NAME : QUESTION_TYPE.NOTES;
+      return [QUESTION_TYPE.NAME, QUESTION_TYPE.LISTEN].includes(questionType) ? questionType : QUESTION_TYPE.NOTES;
+    });
+    for (let i = kinds.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [kinds[i], kinds[j]] = [kinds[j], kinds[i]];
     }
 
-    return picked.map((q, idx) => ({
-      id: `q${idx + 1}`, rootPc: q.rootPc, quality: q.quality,
-      correctPcs: triadPcs(q.rootPc, q.quality), userPcs: [null, null, null],
+    return picked.map((q, idx) => makeQuestion(q, kinds[idx], `q${idOffset + idx + 1}`, nameRoot));
+  }
+
+  function makeQuestion(q, kind, id, nameRoot) {
+    return {
+      id, rootPc: q.rootPc, quality: q.quality, inversion: q.inversion, rootSpell: q.rootSpell,
+      keyId: q.keyId ?? null, degree: q.degree ?? null,
+      correctPcs: chordVoicingPcs(q.rootPc, q.quality, q.inversion), userPcs: chordPcs(q.rootPc, q.quality).map(() => null),
+      correctSpell: q.rootSpell ? spellVoicing(q.rootSpell, q.quality, q.inversion) : null,
+      userSpell: chordPcs(q.rootPc, q.quality).map(() => null), slotResults: [],
       activeIdx: 0, marks: 0, selectedPitches: [], octaveError: false,
-    }));
+      kind, nameRoot: kind === QUESTION_TYPE.NAME || (kind === QUESTION_TYPE.LISTEN && nameRoot),
+      userQuality: null, userRootPc: null, userRootSpell: null, playsUsed: 0,
+    };
   }
 
   function resetGameToInitial() {
-    stopAllNotes(0.08);
-    state.started = false; state.submitted = false; state.questions = [];
-    state.createdOn = null; state.createdOnText = ""; state.inputMode = INPUT_MODE.DROPDOWN;
+    const wasStarted = state.started;
+    stopAllNotes(0.08); stopChallengeTimer(); stopMic();
+    state.started = false; state.submitted = false; state.questions = []; state.currentIdx = 0; state.deadline = 0; state.streak = 0;
+    state.createdOn = null; state.createdOnText = ""; state.inputMode = INPUT_MODE.DROPDOWN; state.quizCode = "";
     questionsList.innerHTML = "";
     resultsPanel.classList.add("hidden");
-    resultsSummary.textContent = "—";
+    resultsSummary.textContent = "—"; setLmsStatus("", "hidden");
     submitBtn.disabled = true; downloadTaskBtn.disabled = true; downloadScorecardBtn.disabled = true; resetBtn.disabled = true;
+    if (downloadAnswerKeyBtn) downloadAnswerKeyBtn.disabled = true;
     quizMeta.textContent = ""; beginModal.classList.remove("hidden");
     inputModeBtn.disabled = true; inputModeBtn.textContent = "Input mode: Dropdown";
-    updateKeyboardModeHint(); updatePageAdvice();
+    updateKeyboardModeHint(); updatePageAdvice(); updatePlayerOptions(); syncQuizCode(); syncChallengeView();
+    if (highScoresCard) highScoresCard.classList.add("hidden");
+    if (wasStarted) postToHost("triads:reset");
+  }
+
+  function questionOptions() {
+    const mastery = state.practiceWeak ? loadMastery() : null;
+    return {
+      chordTypes: state.chordTypes, inversions: state.inversions, strictSpelling: state.strictSpelling,
+      questionType: state.questionType, nameRoot: state.listenNameRoot, keys: state.keys,
+      weightFor: mastery ? (item) => masteryWeight(mastery[masteryKey(item)]) : null,
+    };
+  }
+
+  function startGame({ seed = newSeed(), inputMode = null } = {}) {
+    state.seed = seed >>> 0;
+    if (inputMode) state.inputMode = inputMode;
+    if (state.questionType === QUESTION_TYPE.LISTEN) state.inputMode = INPUT_MODE.DROPDOWN;
+    state.started = true; state.submitted = false;
+    if (state.quizFile) state.questions = questionsFromQuizFile(state.quizFile);
+    else state.questions = state.challenge === CHALLENGE.STREAK ? [] : generateQuestions(state.questionCount, { ...questionOptions(), random: makeRng(state.seed) });
+    if (state.challenge === CHALLENGE.STREAK) state.questions.push(nextStreakQuestion());
+    state.answerQualities = state.keys.length ? keyQualities(state.keys) : state.chordTypes.slice();
+    state.createdOn = new Date(); state.createdOnText = state.createdOn.toLocaleDateString("en-GB"); state.submittedOn = null;
+    state.currentIdx = 0; state.streak = 0; state.deadline = challengeDeadline();
+    showStartedQuiz(); startChallengeTimer(); saveSession();
+    postToHost("triads:started", { state: embedSnapshot() });
+  }
+
+  function showStartedQuiz() {
+    renderQuiz(); syncQuizCode();
+    submitBtn.disabled = false; downloadTaskBtn.disabled = false; downloadScorecardBtn.disabled = true; resetBtn.disabled = false;
+    if (downloadAnswerKeyBtn) downloadAnswerKeyBtn.disabled = false;
+    inputModeBtn.disabled = state.questionType === QUESTION_TYPE.LISTEN || state.questions.some((q) => q.checked); syncInputModeBtnText(); updateKeyboardModeHint();
+    beginModal.classList.add("hidden");
+  }
+
+  function updateKeyboardModeHint() {
+    if (!kbdModeHint) return;
+    if (PITCH_INPUT_MODES.includes(state.inputMode) && state.questionType !== QUESTION_TYPE.LISTEN) kbdModeHint.classList.remove("hidden");
+    else kbdModeHint.classList.add("hidden");
+  }
+
+  // Dropdowns show userPcs, or userSpell with strict spelling: notes carried over from the keyboard or microphone have no
+  // spelling, so they are dropped rather than left as answers the dropdowns don't show.
+  function syncDropdownAnswers() {
+    if (!state.strictSpelling) return;
+    for (const q of state.questions) {
+      if (isNamingQuestion(q) || q.checked) continue;
+      q.userPcs = q.correctPcs.map((_, i) => (q.userSpell?.[i] ? spelledPc(q.userSpell[i]) : null));
+    }
+  }
+
+  function syncInputModeBtnText() {
+    inputModeBtn.textContent = `Input mode: ${INPUT_MODE_LABELS[state.inputMode]}`;
+  }
+
+  function chunkArray(arr, size) {
+    const out = []; const n = Math.max(1, Math.floor(size));
+    for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n));
+    return out;
+  }
+
+  function selectedChordTypes() {
+    return chordTypeChecks.filter((c) => c.checked).map((c) => c.value).filter((t) => CHORD_TYPES[t]);
+  }
+
+  function updateChordTypeSelection() {
+    const types = selectedChordTypes();
+    state.chordTypes = types.length ? types : DEFAULT_CHORD_TYPES.slice();
+    updateKeySelection();
+  }
+
+  function updateInversionSelection() {
+    const picked = inversionChecks.filter((c) => c.checked).map((c) => Number(c.value)).filter((v) => INVERSION_NAMES[v]);
+    state.inversions = picked.length ? picked : [0];
+    updateBeginAvailability();
+  }
+
+  function updateStrictSpelling() {
+    state.strictSpelling = !!strictSpellingCheck?.checked;
+  }
+
+  function updateListenOptions() {
+    state.questionType = Object.values(QUESTION_TYPE).includes(questionTypeSelect?.value) ? questionTypeSelect.value : QUESTION_TYPE.NOTES;
+    state.listenStyle = LISTEN_STYLES[listenStyleSelect?.value] ? listenStyleSelect.value : "blocked";
+    const replays = Number(listenReplaysSelect?.value);
+    state.listenReplays = Number.isFinite(replays) ? replays : 3;
+    state.listenNameRoot = !!listenNameRootCheck?.checked;
+    listenOptions?.classList.toggle("hidden", state.questionType !== QUESTION_TYPE.LISTEN);
+  }
+
+  function updateKeySelection() {
+    const useKeys = chordSourceSelect?.value === "key";
+    keyOptions?.classList.toggle("hidden", !useKeys);
+    chordTypeOptions?.classList.toggle("hidden", useKeys);
+    const picked = keyChecks.filter((c) => c.checked).map((c) => c.value).filter((id) => parseKeyId(id));
+    state.keys = useKeys ? picked : [];
+    updateBeginAvailability();
+  }
+
+  // Begin needs a chord type (or key) and a position those chords have: a 3rd inversion alone needs a 7th chord.
+  function updateBeginAvailability() {
+    const useKeys = chordSourceSelect?.value === "key";
+    const sizes = (useKeys ? keyQualities(state.keys) : selectedChordTypes()).map((t) => chordType(t).intervals.length);
+    const positionsFit = state.inversions.some((n) => sizes.some((size) => n < size));
+    beginBtn.disabled = !sizes.length || !positionsFit;
+    if (positionAdvice) {
+      positionAdvice.textContent = sizes.length && !positionsFit
+        ? `Only 7th chords have a 3rd inversion: ${useKeys ? "key chords are triads, so " : ""}tick another position${useKeys ? "" : " or a 7th chord type"}.`
+        : "";
+    }
+  }
+
+  function updatePlayerOptions() {
+    const name = (playerNameInput?.value ?? "").trim();
+    state.playerName = name;
+    if (name) { try { localStorage.setItem(PLAYER_NAME_KEY, name); } catch {} }
+    state.practiceWeak = !!practiceWeakCheck?.checked;
+    if (masteryAdvice) {
+      const entries = Object.values(loadMastery());
+      const now = Date.now();
+      const due = entries.filter((e) => masteryDueAt(e) <= now).length;
+      const weak = entries.filter((e) => e.box <= 1).length;
+      masteryAdvice.textContent = entries.length
+        ? `${masteryPlayer()}: ${entries.length} chords practised, ${weak} still weak, ${due} due for review.`
+        : `No practice record yet for ${masteryPlayer()} - weak chords are tracked after each quiz.`;
+    }
+  }
+
+  function updatePageAdvice() {
+    const qCount = clampQuestions(Number(questionCountSelect?.value ?? 10));
+    state.questionCount = qCount;
+    const perPageLimit = taskSheetDiagram() ? TASK_Q_PER_PAGE_KBD : TASK_Q_PER_PAGE_DROPDOWN;
+    const pages = Math.ceil(qCount / perPageLimit);
+    const perPage = qCount <= perPageLimit ? `${qCount} on 1 page` : `${perPageLimit} per page (last page ${qCount % perPageLimit || perPageLimit})`;
+    if (pageAdvice) pageAdvice.textContent = `PDF tip: ${qCount} questions → ${pages} A4 page(s), ${perPage}.`;
+  }
+
+  // -------------------- Rendering --------------------
+  function buildNoteSelect(selectId) {
+    const sel = document.createElement("select"); sel.id = selectId;
+    const opt0 = document.createElement("option"); opt0.value = ""; opt0.textContent = "— select —";
+    sel.appendChild(opt0);
+    for (const opt of NOTE_OPTIONS) {
+      const o = document.createElement("option"); o.value = String(opt.pc); o.textContent = opt.label;
+      sel.appendChild(o);
+    }
+    return sel;
+  }
+
+  function buildSpelledNoteSelect(selectId) {
+    const sel = document.createElement("select"); sel.id = selectId;
+    const opt0 = document.createElement("option"); opt0.value = ""; opt0.textContent = "— select —";
+    sel.appendChild(opt0);
+    LETTERS.forEach((name, letter) => {
+      const group = document.createElement("optgroup"); group.label = name;
+      for (const acc of [-2, -1, 0, 1, 2]) {
+        const o = document.createElement("option"); o.value = spelledKey({ letter, acc }); o.textContent = spelledLabel({ letter, acc });
+        group.appendChild(o);
+      }
+      sel.appendChild(group);
+    });
+    return sel;
+  }
+
+  function questionMaxMarks(q) {
+    if (isNamingQuestion(q)) return q.nameRoot ? 2 : 1;
+    return q.correctPcs.length;
+  }
+
+  function answerLabelsFor(q) {
+    if (isNamingQuestion(q)) return q.nameRoot ? ["Quality", "Root"] : ["Quality"];
+    return degreeLabelsFor(q);
+  }
+
+  function degreeLabelsFor(q) {
+    return q.inversion ? VOICING_LABELS[q.correctPcs.length] : chordType(q.quality).degrees;
+  }
+
+  function maxVoicingSpan(q) {
+    return q.inversion ? INVERSION_MAX_SPAN : ROOT_POSITION_MAX_SPAN;
+  }
+
+  function clearQuestionAnswer(q) {
+    q.userPcs = q.correctPcs.map(() => null);
+    q.userSpell = q.correctPcs.map(() => null);
+    q.activeIdx = 0; q.textAnswer = "";
+  }
+
+  function updateQuestionFromSelectedPitches(q) {
+    const pitches = Array.isArray(q.selectedPitches) ? q.selectedPitches.slice() : [];
+    pitches.sort((a, b) => a - b);
+    q.selectedPitches = pitches;
+    const pcs = pitches.map((p) => pcFromPitch(p));
+    q.userPcs = q.correctPcs.map((_, i) => (i < pcs.length ? pcs[i] : null));
+    q.userSpell = q.correctPcs.map(() => null);
+    q.octaveError = pitches.length >= 2 ? (pitches[pitches.length - 1] - pitches[0] > maxVoicingSpan(q)) : false;
+  }
+
+  function updateQuestionFromText(q) {
+    const { tokens, notes, bad } = parseNoteText(q.textAnswer);
+    q.userSpell = q.correctPcs.map((_, i) => notes[i] || null);
+    q.userPcs = q.userSpell.map((sp) => (sp ? spelledPc(sp) : null));
+    if (bad.length) return `Can't read ${bad.map((t) => `"${t}"`).join(", ")} - use a letter A-G with #, b, x, ♯ or ♭.`;
+    if (tokens.length > q.correctPcs.length) return `Too many notes: this chord has ${q.correctPcs.length}.`;
+    return "";
+  }
+
+  function renderTextInputForQuestion(q, li) {
+    const wrap = document.createElement("div"); wrap.className = "qField qTextField";
+    const lab = document.createElement("label"); lab.setAttribute("for", `${q.id}-text`);
+    lab.textContent = `Notes, lowest to highest (${degreeLabelsFor(q).join(", ")})`;
+    const input = document.createElement("input");
+    input.type = "text"; input.id = `${q.id}-text`; input.className = "qTextInput"; input.value = q.textAnswer || "";
+    input.placeholder = q.correctPcs.length === 4 ? "e.g. Eb G Bb Db" : "e.g. Eb G Bb";
+    input.autocomplete = "off"; input.spellcheck = false; input.disabled = state.submitted;
+    const err = document.createElement("div"); err.className = "qTextError"; err.id = `${q.id}-text-error`; err.setAttribute("aria-live", "polite");
+    input.setAttribute("aria-describedby", err.id);
+    const sync = () => {
+      q.textAnswer = input.value;
+      const msg = updateQuestionFromText(q);
+      err.textContent = msg; input.classList.toggle("invalid", !!msg); input.setAttribute("aria-invalid", msg ? "true" : "false");
+    };
+    input.addEventListener("input", () => { sync(); answerChanged(q); });
+    input.addEventListener("keydown", (e) => { if (e.key === "Enter" && checkingAsYouGo()) { e.preventDefault(); checkQuestion(q); } });
+    sync();
+    wrap.appendChild(lab); wrap.appendChild(input); wrap.appendChild(err); li.appendChild(wrap);
+  }
+
+  function renderKeyboardInputForQuestion(q, li) {
+    updateQuestionFromSelectedPitches(q);
+    const wrap = document.createElement("div"); wrap.className = "qKbdWrap";
+    const slots = document.createElement("div"); slots.className = "qSlots";
+    if (q.correctPcs.length === 4) slots.classList.add("four");
+
+    const labels = degreeLabelsFor(q);
+    labels.forEach((lab, idx) => {
+      const s = document.createElement("div"); s.className = "qSlot"; s.dataset.slot = String(idx);
+      const l = document.createElement("div"); l.className = "qSlotLabel"; l.textContent = lab;
+      const v = document.createElement("div"); v.className = "qSlotValue"; v.id = `${q.id}-slot-${idx}`;
+      v.textContent = q.userPcs[idx] == null ? "—" : noteLabelForPc(q.userPcs[idx]);
+      s.appendChild(l); s.appendChild(v); slots.appendChild(s);
+    });
+
+    const mount = document.createElement("div"); mount.className = "qKbdMount mount"; mount.id = `${q.id}-kbd-mount`;
+    const btnRow = document.createElement("div"); btnRow.className = "qSlotBtnRow"; btnRow.id = `${q.id}-kbd-actions`;
+
+    const hearBtn = document.createElement("button");
+    hearBtn.type = "button"; hearBtn.textContent = "Hear selection"; hearBtn.disabled = state.submitted;
+    hearBtn.addEventListener("click", async () => {
+      await resumeAudioIfNeeded(); stopAllNotes(0.02);
+      const pitches = (q.selectedPitches || []).slice().sort((a,b)=>a-b);
+      if (!pitches.length) return;
+      await playPitchesWindowed(pitches, 1.2);
+    });
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button"; clearBtn.textContent = "Clear"; clearBtn.disabled = state.submitted;
+    clearBtn.addEventListener("click", () => {
+      if (state.submitted) return;
+      clearQuestionAnswer(q); updateQuestionFromSelectedPitches(q); renderQuestionKeyboardMount(q); renderKeyboardSlotValues(q);
+    });
+
+    btnRow.appendChild(hearBtn); btnRow.appendChild(clearBtn);
+    wrap.appendChild(slots); wrap.appendChild(mount); wrap.appendChild(btnRow);
+    li.appendChild(wrap);
+    renderQuestionKeyboardMount(q, mount);
+    return wrap;
+  }
+
+  // -------------------- Staff input --------------------
+  function updateQuestionFromStaff(q) {
+    const notes = (q.staffNotes || []).slice().sort((a, b) => staffNotePitch(a) - staffNotePitch(b) || staffStep(a) - staffStep(b));
+    q.userSpell = q.correctPcs.map((_, i) => (notes[i] ? { letter: notes[i].letter, acc: notes[i].acc } : null));
+    q.userPcs = q.userSpell.map((sp) => (sp ? spelledPc(sp) : null));
+    const pitches = notes.map(staffNotePitch);
+    q.octaveError = pitches.length >= 2 ? pitches[pitches.length - 1] - pitches[0] > maxVoicingSpan(q) : false;
+  }
+
+  function staffInputRange(q) {
+    const bottom = CLEFS[q.staffClef].bottomStep;
+    return { lo: bottom - STAFF_LEDGER_STEPS, hi: bottom + 8 + STAFF_LEDGER_STEPS };
+  }
+
+  function staffNotesText(q) {
+    const notes = (q.staffNotes || []).slice().sort((a, b) => staffStep(a) - staffStep(b));
+    return notes.length ? notes.map(staffNoteLabel).join(", ") : "—";
+  }
+
+  function renderStaffInputForQuestion(q, li) {
+    q.staffNotes = Array.isArray(q.staffNotes) ? q.staffNotes : [];
+    q.staffClef = CLEFS[q.staffClef] ? q.staffClef : "treble";
+    if (q.staffCursor == null) q.staffCursor = CLEFS[q.staffClef].bottomStep + 4;
+    updateQuestionFromStaff(q);
+    const wrap = document.createElement("div"); wrap.className = "qStaffWrap";
+    const shown = document.createElement("div"); shown.className = "qStaffNotes"; shown.id = `${q.id}-staff-notes`;
+    shown.innerHTML = `Notes placed: <strong>${escapeHtml(staffNotesText(q))}</strong>`;
+    const mount = document.createElement("div"); mount.className = "qStaffMount mount"; mount.id = `${q.id}-staff-mount`;
+
+    const accRow = document.createElement("div"); accRow.className = "qSlotBtnRow qStaffAccRow"; accRow.id = `${q.id}-staff-accs`;
+    for (const acc of [-2, -1, 0, 1, 2]) {
+      const b = document.createElement("button"); b.type = "button"; b.className = "qStaffAccBtn"; b.dataset.acc = String(acc);
+      b.textContent = ACC_SYMBOLS[acc]; b.setAttribute("aria-label", acc ? ACC_SPOKEN[acc].trim() : "natural");
+      b.addEventListener("click", () => setStaffAccidental(q, acc));
+      accRow.appendChild(b);
+    }
+
+    const btnRow = document.createElement("div"); btnRow.className = "qSlotBtnRow"; btnRow.id = `${q.id}-staff-actions`;
+    const clefBtn = document.createElement("button"); clefBtn.type = "button"; clefBtn.id = `${q.id}-staff-clef`;
+    clefBtn.textContent = q.staffClef === "treble" ? "Use bass clef" : "Use treble clef";
+    clefBtn.addEventListener("click", () => toggleStaffClef(q));
+    const hearBtn = document.createElement("button"); hearBtn.type = "button"; hearBtn.textContent = "Hear notes";
+    hearBtn.addEventListener("click", async () => {
+      const pitches = q.staffNotes.map(staffNotePitch);
+      if (pitches.length) await playPattern(pitches, { pattern: "blocked", holdSec: 1.2 });
+    });
+    const clearBtn = document.createElement("button"); clearBtn.type = "button"; clearBtn.textContent = "Clear";
+    clearBtn.addEventListener("click", () => {
+      if (state.submitted || q.checked) return;
+      q.staffNotes = []; q.staffSelStep = null; syncStaffQuestion(q); announce("Staff cleared.");
+    });
+    btnRow.appendChild(clefBtn); btnRow.appendChild(hearBtn); btnRow.appendChild(clearBtn);
+    wrap.appendChild(shown); wrap.appendChild(mount); wrap.appendChild(accRow); wrap.appendChild(btnRow);
+    li.appendChild(wrap);
+    renderQuestionStaffMount(q, mount);
+  }
+
+  function renderQuestionStaffMount(q, mountEl = null) {
+    const mount = mountEl || $(`${q.id}-staff-mount`);
+    if (!mount) return;
+    const hadFocus = mount.contains(document.activeElement);
+    const { lo, hi } = staffInputRange(q);
+    const selectedIndex = q.staffNotes.findIndex((n) => staffStep(n) === q.staffSelStep);
+    const svg = buildStaffSvg({
+      clef: q.staffClef, notes: q.staffNotes, lo, hi, widthSpaces: 12, selectedIndex, cursorStep: state.submitted ? null : q.staffCursor,
+      ariaLabel: `Question ${state.questions.indexOf(q) + 1} ${CLEFS[q.staffClef].label.toLowerCase()}: ${staffNotesText(q)}. Up and down arrows move, Enter places or removes a note, S, F and N set sharp, flat or natural.`,
+    });
+    if (!state.submitted && !q.checked) {
+      svg.setAttribute("role", "group"); svg.setAttribute("tabindex", "0");
+      const geo = staffGeometry({ clef: q.staffClef, notes: q.staffNotes, lo, hi, widthSpaces: 12 });
+      svg.addEventListener("pointerdown", (e) => {
+        const rect = svg.getBoundingClientRect();
+        if (!rect.height) return;
+        e.preventDefault();
+        const step = geo.stepForY(((e.clientY - rect.top) * geo.height) / rect.height);
+        pickStaffStep(q, Math.max(lo, Math.min(hi, step)));
+      });
+      svg.addEventListener("keydown", (e) => handleStaffKeydown(q, e));
+    }
+    mount.innerHTML = ""; mount.appendChild(svg);
+    if (hadFocus) svg.focus();
+    const accs = $(`${q.id}-staff-accs`);
+    const sel = q.staffNotes.find((n) => staffStep(n) === q.staffSelStep);
+    accs?.querySelectorAll(".qStaffAccBtn").forEach((b) => {
+      b.disabled = !sel || state.submitted || !!q.checked;
+      b.setAttribute("aria-pressed", sel && Number(b.dataset.acc) === sel.acc ? "true" : "false");
+    });
+  }
+
+  function handleStaffKeydown(q, e) {
+    const { lo, hi } = staffInputRange(q);
+    const moves = { ArrowUp: 1, ArrowDown: -1 };
+    const accKeys = { s: 1, "#": 1, f: -1, b: -1, n: 0 };
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key in moves) {
+      e.preventDefault();
+      q.staffCursor = Math.max(lo, Math.min(hi, q.staffCursor + moves[key]));
+      renderQuestionStaffMount(q);
+      const at = q.staffNotes.find((n) => staffStep(n) === q.staffCursor);
+      announce(at ? spokenStaffNote(at) : `${LETTERS[staffNoteFromStep(q.staffCursor).letter]} ${staffNoteFromStep(q.staffCursor).oct}, empty`);
+    } else if (key === "Enter" || key === " ") {
+      e.preventDefault(); if (!e.repeat) pickStaffStep(q, q.staffCursor);
+    } else if (key in accKeys) {
+      e.preventDefault();
+      const sel = q.staffNotes.find((n) => staffStep(n) === q.staffSelStep);
+      // Pressing sharp or flat again doubles it.
+      const acc = sel && accKeys[key] && sel.acc === accKeys[key] ? accKeys[key] * 2 : accKeys[key];
+      setStaffAccidental(q, acc);
+    } else if (key === "Delete" || key === "Backspace") {
+      e.preventDefault();
+      if (q.staffSelStep != null) pickStaffStep(q, q.staffSelStep, { remove: true });
+    }
+  }
+
+  function syncStaffQuestion(q) {
+    updateQuestionFromStaff(q);
+    const shown = $(`${q.id}-staff-notes`);
+    if (shown) shown.innerHTML = `Notes placed: <strong>${escapeHtml(staffNotesText(q))}</strong>`;
+    renderQuestionStaffMount(q); answerChanged(q);
+  }
+
+  // Clicking an empty line or space adds a note there; clicking a note selects it, and clicking it again removes it.
+  function pickStaffStep(q, step, { remove = false } = {}) {
+    if (state.submitted || q.checked) return;
+    state.qwertyQid = q.id; q.staffCursor = step;
+    const idx = q.staffNotes.findIndex((n) => staffStep(n) === step);
+    if (idx >= 0 && (remove || q.staffSelStep === step)) {
+      const [gone] = q.staffNotes.splice(idx, 1); q.staffSelStep = null;
+      announce(`${spokenStaffNote(gone)} removed.`);
+    } else if (idx >= 0) {
+      q.staffSelStep = step; announce(`${spokenStaffNote(q.staffNotes[idx])} selected.`);
+    } else if (q.staffNotes.length >= q.correctPcs.length) {
+      announce(`This chord has ${q.correctPcs.length} notes: remove one first.`); return;
+    } else {
+      const note = staffNoteFromStep(step);
+      q.staffNotes.push(note); q.staffSelStep = step;
+      announce(`${spokenStaffNote(note)} added.`); previewStaffNote(note);
+    }
+    syncStaffQuestion(q);
+  }
+
+  function setStaffAccidental(q, acc) {
+    if (state.submitted || q.checked) return;
+    const sel = q.staffNotes.find((n) => staffStep(n) === q.staffSelStep);
+    if (!sel) { announce("Select a note first."); return; }
+    sel.acc = acc; announce(`${spokenStaffNote(sel)}.`); previewStaffNote(sel);
+    syncStaffQuestion(q);
+  }
+
+  // Two octaves keeps every note on the same letter and near the same place on the other staff.
+  function toggleStaffClef(q) {
+    if (state.submitted || q.checked) return;
+    const shift = q.staffClef === "treble" ? -14 : 14;
+    q.staffClef = q.staffClef === "treble" ? "bass" : "treble";
+    q.staffNotes = q.staffNotes.map((n) => ({ ...staffNoteFromStep(staffStep(n) + shift, n.acc) }));
+    if (q.staffSelStep != null) q.staffSelStep += shift;
+    q.staffCursor += shift;
+    const btn = $(`${q.id}-staff-clef`); if (btn) btn.textContent = q.staffClef === "treble" ? "Use bass clef" : "Use treble clef";
+    announce(`${CLEFS[q.staffClef].label}.`);
+    syncStaffQuestion(q);
+  }
+
+  async function previewStaffNote(note) {
+    await resumeAudioIfNeeded(); stopAllNotes(0.02); await playPitchesWindowed([staffNotePitch(note)], 0.7);
+  }
+
+  function makeStaffBlock({ title, clef, notes, ariaLabel }) {
+    const block = document.createElement("div"); block.className = "miniKbdBlock";
+    const t = document.createElement("div"); t.className = "miniKbdTitle"; t.textContent = title;
+    const mount = document.createElement("div"); mount.className = "mount staffMount";
+    mount.appendChild(buildStaffSvg({ clef, notes, ariaLabel }));
+    block.appendChild(t); block.appendChild(mount);
+    return block;
+  }
+
+  function staffFeedbackBlocks(q) {
+    const clef = state.inputMode === INPUT_MODE.STAFF && q.staffClef ? q.staffClef : "treble";
+    const correct = chordStaffNotes(q, clef);
+    const blocks = [makeStaffBlock({ title: "On the staff", clef, notes: correct, ariaLabel: `Correct chord on the ${clef} clef: ${correct.map(staffNoteLabel).join(", ")}` })];
+    if (state.inputMode === INPUT_MODE.STAFF && !isNamingQuestion(q)) {
+      blocks.unshift(makeStaffBlock({ title: "Your staff answer", clef, notes: q.staffNotes || [], ariaLabel: `Your answer on the ${clef} clef: ${staffNotesText(q)}` }));
+    }
+    return blocks;
+  }
+
+  function listenPlaysLeft(q) {
+    if (state.listenReplays < 0) return Infinity;
+    return Math.max(0, state.listenReplays + 1 - q.playsUsed);
+  }
+
+  function listenPlayBtnText(q) {
+    const left = listenPlaysLeft(q);
+    if (!q.playsUsed) return "Play chord";
+    return left === Infinity ? "Replay" : `Replay (${left} left)`;
+  }
+
+  async function playListeningChord(q, mount = null) {
+    const pitches = stackedPitchesFromPcs(q.correctPcs, MINI_KBD_START_OCT);
+    const order = LISTEN_STYLES[state.listenStyle]?.order;
+    return playPattern(pitches, { pattern: order || "blocked", stepSec: LISTEN_ARPEGGIO_STEP_SEC, mount });
+  }
+
+  function buildQualitySelect(selectId) {
+    const sel = document.createElement("select"); sel.id = selectId;
+    const opt0 = document.createElement("option"); opt0.value = ""; opt0.textContent = "— select —";
+    sel.appendChild(opt0);
+    for (const t of state.answerQualities) {
+      const o = document.createElement("option"); o.value = t; o.textContent = chordType(t).label;
+      sel.appendChild(o);
+    }
+    return sel;
+  }
+
+  function buildChordNameGrid(q) {
+    const grid = document.createElement("div"); grid.className = "qGrid qGridListen";
+
+    const qualWrap = document.createElement("div"); qualWrap.className = "qField";
+    const qualLab = document.createElement("label"); qualLab.setAttribute("for", `${q.id}-quality`); qualLab.textContent = "Chord quality";
+    const qualSel = buildQualitySelect(`${q.id}-quality`);
+    qualSel.value = q.userQuality ?? ""; qualSel.disabled = state.submitted;
+    qualSel.addEventListener("change", () => { q.userQuality = qualSel.value || null; answerChanged(q); });
+    qualWrap.appendChild(qualLab); qualWrap.appendChild(qualSel); grid.appendChild(qualWrap);
+
+    if (q.nameRoot) {
+      const rootWrap = document.createElement("div"); rootWrap.className = "qField";
+      const rootLab = document.createElement("label"); rootLab.setAttribute("for", `${q.id}-root`); rootLab.textContent = "Root note";
+      if (q.kind === QUESTION_TYPE.NAME && q.rootSpell) {
+        const rootSel = buildSpelledNoteSelect(`${q.id}-root`);
+        rootSel.value = q.userRootSpell ? spelledKey(q.userRootSpell) : ""; rootSel.disabled = state.submitted;
+        rootSel.addEventListener("change", () => {
+          q.userRootSpell = parseSpelledKey(rootSel.value); q.userRootPc = q.userRootSpell ? spelledPc(q.userRootSpell) : null;
+          answerChanged(q);
+        });
+        rootWrap.appendChild(rootLab); rootWrap.appendChild(rootSel);
+      } else {
+        const rootSel = buildNoteSelect(`${q.id}-root`);
+        rootSel.value = q.userRootPc == null ? "" : String(q.userRootPc); rootSel.disabled = state.submitted;
+        rootSel.addEventListener("change", () => { q.userRootPc = rootSel.value === "" ? null : Number(rootSel.value); answerChanged(q); });
+        rootWrap.appendChild(rootLab); rootWrap.appendChild(rootSel);
+      }
+      grid.appendChild(rootWrap);
+    }
+    return grid;
+  }
+
+  function renderNamingInputForQuestion(q, li) {
+    const shown = document.createElement("div"); shown.className = "qShownNotes";
+    if (PITCH_INPUT_MODES.includes(state.inputMode)) {
+      const startPitch = pitchFromPcOct(0, Q_KBD_START_OCT);
+      const pitches = stackedPitchesFromPcs(q.correctPcs, Q_KBD_START_OCT);
+      const mount = document.createElement("div"); mount.className = "qKbdMount mount";
+      mount.appendChild(buildKeyboardSvg({
+        startPitch, octaves: Q_KBD_OCTAVES, includeEndC: Q_KBD_INCLUDE_END_C, widthPx: 880, heightPx: 165,
+        interactive: false, ariaLabel: `Chord to name: ${correctLabelsFor(q).join(", ")}`,
+        highlight: new Map(pitches.map((p) => [p, "hit"])),
+      }));
+      shown.appendChild(mount);
+    } else if (state.inputMode === INPUT_MODE.STAFF) {
+      const notes = chordStaffNotes(q, "treble");
+      const mount = document.createElement("div"); mount.className = "qStaffMount mount";
+      mount.appendChild(buildStaffSvg({ clef: "treble", notes, ariaLabel: `Chord to name on the treble clef: ${notes.map(staffNoteLabel).join(", ")}` }));
+      shown.appendChild(mount);
+    } else {
+      shown.innerHTML = `Notes (lowest to highest): <strong>${escapeHtml(correctLabelsFor(q).join(", "))}</strong>`;
+    }
+    li.appendChild(shown); li.appendChild(buildChordNameGrid(q));
+  }
+
+  function renderListeningInputForQuestion(q, li) {
+    const grid = buildChordNameGrid(q);
+
+    const btnRow = document.createElement("div"); btnRow.className = "qSlotBtnRow"; btnRow.id = `${q.id}-listen-actions`;
+    const playBtn = document.createElement("button");
+    playBtn.type = "button"; playBtn.className = "primary"; playBtn.textContent = listenPlayBtnText(q);
+    playBtn.disabled = state.submitted || listenPlaysLeft(q) <= 0;
+    playBtn.addEventListener("click", async () => {
+      if (state.submitted || listenPlaysLeft(q) <= 0) return;
+      q.playsUsed += 1; answerChanged(q);
+      playBtn.textContent = listenPlayBtnText(q); playBtn.disabled = listenPlaysLeft(q) <= 0;
+      await resumeAudioIfNeeded();
+      await playListeningChord(q);
+    });
+    btnRow.appendChild(playBtn);
+
+    li.appendChild(btnRow); li.appendChild(grid);
+  }
+
+  function renderKeyboardSlotValues(q) {
+    for (let i = 0; i < q.userPcs.length; i++) {
+      const el = $(`${q.id}-slot-${i}`);
+      if (el) el.textContent = q.userPcs[i] == null ? "—" : noteLabelForPc(q.userPcs[i]);
+    }
+    const labels = degreeLabelsFor(q);
+    const filled = q.userPcs.filter((pc) => pc != null).length;
+    const parts = q.userPcs.map((pc, i) => `${labels[i]} ${pc == null ? "empty" : PC_SPOKEN[pc]}`);
+    announce(`Question ${state.questions.indexOf(q) + 1}: ${parts.join(", ")}. ${filled} of ${q.userPcs.length} notes chosen.`);
+  }
+
+  async function toggleQuestionPitch(q, pitch, groupEl) {
+    if (state.submitted || q.checked) return;
+    state.qwertyQid = q.id;
+    await resumeAudioIfNeeded(); stopAllNotes(0.02); await playPitchesWindowed([pitch], 0.7); flashKeyGroup(groupEl, 180);
+    q.selectedPitches = Array.isArray(q.selectedPitches) ? q.selectedPitches : [];
+    const p = Math.round(pitch);
+    const idx = q.selectedPitches.indexOf(p);
+    if (idx >= 0) q.selectedPitches.splice(idx, 1);
+    else { if (q.selectedPitches.length >= q.correctPcs.length) return; q.selectedPitches.push(p); }
+    updateQuestionFromSelectedPitches(q); renderKeyboardSlotValues(q); renderQuestionKeyboardMount(q); answerChanged(q);
+  }
+
+  function renderQuestionKeyboardMount(q, mountEl = null) {
+    const mount = mountEl || $(`${q.id}-kbd-mount`);
+    if (!mount) return;
+    const focused = mount.contains(document.activeElement) ? Number(document.activeElement.dataset?.pitch) : null;
+    const startPitch = pitchFromPcOct(0, Q_KBD_START_OCT);
+    const hl = buildPitchHighlightMapForRange({
+      startPitch, octaves: Q_KBD_OCTAVES, includeEndC: Q_KBD_INCLUDE_END_C, selectedPitches: q.selectedPitches,
+    });
+
+    mount.innerHTML = "";
+    mount.appendChild(
+      buildKeyboardSvg({
+        startPitch, octaves: Q_KBD_OCTAVES, includeEndC: Q_KBD_INCLUDE_END_C,
+        widthPx: 880, heightPx: 165, interactive: !state.submitted, highlight: hl, focusPitch: Number.isFinite(focused) ? focused : null,
+        ariaLabel: `Question ${state.questions.indexOf(q) + 1} keyboard: use arrow keys to move, Enter or Space to select a note`,
+        onKeyDown: (pitch, groupEl) => toggleQuestionPitch(q, pitch, groupEl),
+      })
+    );
+    if (Number.isFinite(focused)) mount.querySelector(`.key[data-pitch="${focused}"]`)?.focus();
+  }
+
+  function renderQuiz() {
+    stopMic(); questionsList.innerHTML = ""; renderQuizCode();
+    state.questions.forEach((q, index) => {
+      const li = document.createElement("li"); li.className = "qCard"; li.dataset.qid = q.id;
+      const top = document.createElement("div"); top.className = "qTop";
+      const title = document.createElement("div"); title.className = "qTitle";
+      title.textContent = `${index + 1}. ${questionTitle(q, { reveal: state.submitted || q.checked })}`; title.id = `${q.id}-title`;
+      const marks = document.createElement("div"); marks.className = "qMarks"; marks.id = `${q.id}-marks`; marks.textContent = `0 / ${questionMaxMarks(q)}`;
+      top.appendChild(title); top.appendChild(marks); li.appendChild(top);
+
+      if (q.kind === QUESTION_TYPE.LISTEN) {
+        renderListeningInputForQuestion(q, li);
+      } else if (q.kind === QUESTION_TYPE.NAME) {
+        renderNamingInputForQuestion(q, li);
+      } else if (state.inputMode === INPUT_MODE.DROPDOWN) {
+        const grid = document.createElement("div"); grid.className = "qGrid";
+        if (q.correctPcs.length === 4) grid.classList.add("four");
+        const fields = degreeLabelsFor(q).map((label, idx) => ({ label, idx }));
+        for (const f of fields) {
+          const wrap = document.createElement("div"); wrap.className = "qField";
+          const lab = document.createElement("label"); lab.setAttribute("for", `${q.id}-sel-${f.idx}`); lab.textContent = f.label;
+          if (state.strictSpelling) {
+            const sel = buildSpelledNoteSelect(`${q.id}-sel-${f.idx}`);
+            sel.value = q.userSpell[f.idx] ? spelledKey(q.userSpell[f.idx]) : ""; sel.disabled = state.submitted;
+            sel.addEventListener("change", () => {
+              const sp = parseSpelledKey(sel.value);
+              q.userSpell[f.idx] = sp; q.userPcs[f.idx] = sp ? spelledPc(sp) : null;
+              answerChanged(q);
+            });
+            wrap.appendChild(lab); wrap.appendChild(sel); grid.appendChild(wrap);
+            continue;
+          }
+          const sel = buildNoteSelect(`${q.id}-sel-${f.idx}`);
+          sel.value = q.userPcs[f.idx] == null ? "" : String(q.userPcs[f.idx]); sel.disabled = state.submitted;
+          sel.addEventListener("change", () => { q.userPcs[f.idx] = sel.value === "" ? null : Number(sel.value); answerChanged(q); });
+          wrap.appendChild(lab); wrap.appendChild(sel); grid.appendChild(wrap);
+        }
+        li.appendChild(grid);
+      } else if (state.inputMode === INPUT_MODE.TEXT) {
+        renderTextInputForQuestion(q, li);
+      } else if (state.inputMode === INPUT_MODE.STAFF) {
+        renderStaffInputForQuestion(q, li);
+      } else if (state.inputMode === INPUT_MODE.MIC) {
+        renderMicInputForQuestion(q, li);
+      } else {
+        renderKeyboardInputForQuestion(q, li);
+      }
+
+      if (checkingAsYouGo() && !state.submitted && !q.checked) li.appendChild(buildCheckRow(q));
+      const feedback = document.createElement("div"); feedback.className = "qFeedback hidden"; feedback.id = `${q.id}-feedback`;
+      li.appendChild(feedback); questionsList.appendChild(li);
+      if (q.checked && !state.submitted) { showQuestionResult(q); lockQuestionCard(q); }
+    });
+    syncChallengeView();
+    window.__triadsSendHeight?.();
+  }
+
+  function setSelectDisabledAll(disabled) {
+    questionsList.querySelectorAll("select, input").forEach((s) => s.disabled = disabled);
+  }
+
+  function makeMiniKeyboardBlock({ title, mountId, btnText, onPlay }) {
+    const block = document.createElement("div"); block.className = "miniKbdBlock";
+    const t = document.createElement("div"); t.className = "miniKbdTitle"; t.textContent = title;
+    const mount = document.createElement("div"); mount.className = "mount miniMount"; mount.id = mountId;
+    const btnRow = document.createElement("div"); btnRow.className = "miniBtnRow";
+    const btn = document.createElement("button"); btn.type = "button"; btn.textContent = btnText;
+    btn.addEventListener("click", onPlay);
+    btnRow.appendChild(btn); block.appendChild(t); block.appendChild(mount); block.appendChild(btnRow);
+    return block;
+  }
+
+  function renderNamingFeedbackForQuestion(q) {
+    const fb = $(`${q.id}-feedback`); if (!fb) return;
+    fb.innerHTML = ""; fb.classList.remove("hidden");
+    const row = document.createElement("div"); row.className = "qFeedbackRow";
+    const correctPitches = stackedPitchesFromPcs(q.correctPcs, MINI_KBD_START_OCT);
+    const correctMountId = `${q.id}-mini-correct`;
+    const listen = q.kind === QUESTION_TYPE.LISTEN;
+    row.appendChild(makeMiniKeyboardBlock({
+      title: listen ? "The chord you heard" : "The chord", mountId: correctMountId, btnText: listen ? "Play Chord Again" : "Play Chord",
+      onPlay: async () => { if (listen) await playListeningChord(q, $(correctMountId)); else await playPattern(correctPitches, { mount: $(correctMountId) }); },
+    }));
+    staffFeedbackBlocks(q).forEach((b) => row.appendChild(b));
+    fb.appendChild(row);
+
+    const maxMarks = questionMaxMarks(q);
+    const okClass = q.marks === maxMarks ? "ok" : q.marks === 0 ? "bad" : "";
+    const line = document.createElement("div"); line.className = "qAnswerLine";
+    line.innerHTML = `<span class="${okClass}">Marks: <strong>${q.marks} / ${maxMarks}</strong></span><br>You chose: <strong>${escapeHtml(chosenTextFor(q))}</strong><br>Correct: <strong>${escapeHtml(correctTextFor(q))}</strong>`;
+    const spellingNotes = spellingFeedbackFor(q);
+    if (spellingNotes.length) line.innerHTML += `<br>Right pitch, wrong spelling: <strong class="bad">${escapeHtml(spellingNotes.join("; "))}</strong>`;
+    fb.appendChild(line);
+
+    const correctMap = new Map(correctPitches.map((p) => [p, "ok"]));
+    const mount = $(correctMountId);
+    if (mount) {
+      mount.innerHTML = "";
+      mount.appendChild(buildKeyboardSvg({ startPitch: pitchFromPcOct(0, MINI_KBD_START_OCT), octaves: MINI_KBD_OCTAVES, includeEndC: MINI_KBD_INCLUDE_END_C, widthPx: 520, heightPx: 120, interactive: false, ariaLabel: listen ? "Heard chord keyboard" : "Chord keyboard", highlight: correctMap }));
+    }
+  }
+
+  function renderMiniKeyboardsForQuestion(q) {
+    if (isNamingQuestion(q)) { renderNamingFeedbackForQuestion(q); return; }
+    const fb = $(`${q.id}-feedback`); if (!fb) return;
+    fb.innerHTML = ""; fb.classList.remove("hidden");
+    const row = document.createElement("div"); row.className = "qFeedbackRow";
+
+    const miniStartPitch = pitchFromPcOct(0, MINI_KBD_START_OCT);
+    const correctPitches = stackedPitchesFromPcs(q.correctPcs, MINI_KBD_START_OCT);
+    const correctPcs = q.correctPcs.slice();
+    const answeredPcs = q.userPcs.slice();
+
+    const placedPitches = { keyboard: q.selectedPitches || [], mic: q.selectedPitches || [], staff: (q.staffNotes || []).map(staffNotePitch) }[state.inputMode] || [];
+    const answeredPitches = placedPitches.length
+      ? placedPitches.slice().sort((a, b) => a - b)
+      : stackedPitchesFromPcs(q.userPcs, MINI_KBD_START_OCT);
+
+    const answeredMap = new Map();
+    for (const p of answeredPitches) {
+      answeredMap.set(p, correctPcs.includes(pcFromPitch(p)) ? "ok" : "bad");
+    }
+
+    const correctMap = new Map();
+    for (const p of correctPitches) correctMap.set(p, "ok");
+
+    const answeredMountId = `${q.id}-mini-answered`; const correctMountId = `${q.id}-mini-correct`;
+
+    const answeredBlock = makeMiniKeyboardBlock({
+      title: "Your answered notes", mountId: answeredMountId, btnText: "Play Answered Notes",
+      onPlay: async () => { const toPlay = answeredPitches.length ? answeredPitches : correctPitches; await playPattern(toPlay, { mount: $(answeredMountId) }); },
+    });
+    const correctBlock = makeMiniKeyboardBlock({
+      title: "Correct notes", mountId: correctMountId, btnText: "Play Correct Notes",
+      onPlay: async () => { await playPattern(correctPitches, { mount: $(correctMountId) }); },
+    });
+
+    row.appendChild(answeredBlock); row.appendChild(correctBlock); staffFeedbackBlocks(q).forEach((b) => row.appendChild(b)); fb.appendChild(row);
+
+    const correctLabels = correctLabelsFor(q);
+    const chosenText = chosenTextFor(q);
+    const correctText = correctTextFor(q);
+    const line = document.createElement("div"); line.className = "qAnswerLine";
+    const maxMarks = questionMaxMarks(q);
+    const okClass = q.marks === maxMarks ? "ok" : q.marks === 0 ? "bad" : "";
+
+    line.innerHTML = `<span class="${okClass}">Marks: <strong>${q.marks} / ${maxMarks}</strong></span><br>You chose: <strong>${chosenText}</strong><br>Correct: <strong>${correctText}</strong>`;
+    if (q.inversion) {
+      const bassOk = answeredPcs[0] != null && answeredPcs[0] === correctPcs[0];
+      line.innerHTML += `<br>Bass note: <strong class="${bassOk ? "ok" : "bad"}">${bassOk ? "correct" : `should be ${correctLabels[0]}`}</strong>`;
+    }
+
+    const spellingNotes = spellingFeedbackFor(q);
+    if (spellingNotes.length) line.innerHTML += `<br>Right pitch, wrong spelling: <strong class="bad">${escapeHtml(spellingNotes.join("; "))}</strong>`;
+
+    if (placedPitches.length === q.correctPcs.length && q.octaveError) {
+      const warn = document.createElement("div"); warn.className = "qAnswerLine bad";
+      warn.textContent = q.inversion
+        ? "Note: for full marks the inverted chord must fit within two octaves."
+        : "Note: for full marks the chord must fit within a single octave (root position).";
+      fb.appendChild(warn);
+    }
+    fb.appendChild(line);
+
+    const answeredMount = $(answeredMountId); const correctMount = $(correctMountId);
+    if (answeredMount) {
+      answeredMount.innerHTML = "";
+      answeredMount.appendChild(buildKeyboardSvg({ startPitch: miniStartPitch, octaves: MINI_KBD_OCTAVES, includeEndC: MINI_KBD_INCLUDE_END_C, widthPx: 520, heightPx: 120, interactive: false, ariaLabel: "Answered notes keyboard", highlight: answeredMap }));
+    }
+    if (correctMount) {
+      correctMount.innerHTML = "";
+      correctMount.appendChild(buildKeyboardSvg({ startPitch: miniStartPitch, octaves: MINI_KBD_OCTAVES, includeEndC: MINI_KBD_INCLUDE_END_C, widthPx: 520, heightPx: 120, interactive: false, ariaLabel: "Correct notes keyboard", highlight: correctMap }));
+    }
+  }
+
+  // Every { quality, rootPc } with the same notes as a naming or listening question's chord: a sus2 is also a sus4 on
+  // another root, and augmented and diminished 7th chords divide the octave evenly, so neither the notes nor the ear can
+  // tell which of their notes is the root.
+  function equivalentChords(q) {
+    const key = (pcs) => pcs.slice().sort((a, b) => a - b).join(",");
+    const notes = key(chordPcs(q.rootPc, q.quality));
+    const out = [];
+    for (const quality of Object.keys(CHORD_TYPES)) {
+      for (let rootPc = 0; rootPc < 12; rootPc++) if (key(chordPcs(rootPc, quality)) === notes) out.push({ quality, rootPc });
+    }
+    return out;
+  }
+
+  // The spelling a root must have: the question's own, or for another root of the same notes, that note as shown.
+  function expectedRootSpell(q, rootPc) {
+    if (!q.rootSpell) return null;
+    return rootPc === q.rootPc ? q.rootSpell : q.correctSpell?.find((sp) => spelledPc(sp) === rootPc) ?? null;
+  }
+
+  // Slot results: "ok", "empty", "pitch" (wrong note) or "spelling" (right pitch, wrong letter name).
+  function markQuestion(q) {
+    if (isNamingQuestion(q)) {
+      const chords = equivalentChords(q);
+      const qualityOk = chords.some((c) => c.quality === q.userQuality);
+      q.slotResults = [q.userQuality == null ? "empty" : qualityOk ? "ok" : "pitch"];
+      if (q.nameRoot) {
+        // With a right quality the root must go with it; with a wrong one, any root of the notes counts.
+        const rootOk = chords.some((c) => c.rootPc === q.userRootPc && (!qualityOk || c.quality === q.userQuality));
+        const checkSpelling = q.kind === QUESTION_TYPE.NAME && !!q.rootSpell;
+        if (q.userRootPc == null) q.slotResults.push("empty");
+        else if (!rootOk) q.slotResults.push("pitch");
+        else q.slotResults.push(checkSpelling && !sameSpelling(q.userRootSpell, expectedRootSpell(q, q.userRootPc)) ? "spelling" : "ok");
+      }
+      q.marks = q.slotResults.filter((r) => r === "ok").length;
+      return q.marks;
+    }
+    if (PITCH_INPUT_MODES.includes(state.inputMode)) updateQuestionFromSelectedPitches(q);
+    else if (state.inputMode === INPUT_MODE.TEXT) updateQuestionFromText(q);
+    else if (state.inputMode === INPUT_MODE.STAFF) updateQuestionFromStaff(q);
+    const correct = q.correctPcs; const user = q.userPcs;
+    const checkSpelling = !!q.correctSpell && !PITCH_INPUT_MODES.includes(state.inputMode);
+    q.slotResults = correct.map((pc, i) => {
+      if (user[i] == null || (checkSpelling && !q.userSpell?.[i])) return "empty"; // an unspelled note can't be checked
+      if (user[i] !== pc) return "pitch";
+      if (checkSpelling && !sameSpelling(q.userSpell?.[i], q.correctSpell[i])) return "spelling";
+      return "ok";
+    });
+    let marks = q.slotResults.filter((r) => r === "ok").length;
+    const placed = { keyboard: q.selectedPitches?.length, mic: q.selectedPitches?.length, staff: q.staffNotes?.length }[state.inputMode];
+    if (placed === correct.length && q.octaveError) marks = 0;
+    q.marks = marks;
+    return marks;
+  }
+
+  function chosenTextFor(q) {
+    if (isNamingQuestion(q)) {
+      const qual = q.userQuality ? chordType(q.userQuality).label : "—";
+      const root = q.userRootSpell ? spelledLabel(q.userRootSpell) : q.userRootPc == null ? "—" : noteLabelForPc(q.userRootPc);
+      return q.nameRoot ? `${qual}, root ${root}` : qual;
+    }
+    return chosenLabelsFor(q).join(", ");
+  }
+
+  function correctTextFor(q) {
+    if (isNamingQuestion(q)) {
+      const qual = chordType(q.quality).label;
+      const root = q.kind === QUESTION_TYPE.NAME && q.rootSpell ? spelledLabel(q.rootSpell) : noteLabelForPc(q.rootPc);
+      const others = equivalentChords(q).filter((c) => (q.nameRoot ? c.quality !== q.quality || c.rootPc !== q.rootPc : c.quality !== q.quality));
+      const also = others.map((c) => {
+        const sp = q.kind === QUESTION_TYPE.NAME ? expectedRootSpell(q, c.rootPc) : null;
+        return q.nameRoot ? `${chordType(c.quality).label}, root ${sp ? spelledLabel(sp) : noteLabelForPc(c.rootPc)}` : chordType(c.quality).label;
+      });
+      return `${q.nameRoot ? `${qual}, root ${root}` : qual}${also.length ? ` (also: ${[...new Set(also)].join("; ")})` : ""}`;
+    }
+    return correctLabelsFor(q).join(", ");
+  }
+
+  function spellingFeedbackFor(q) {
+    if (!q.correctSpell || q.kind === QUESTION_TYPE.LISTEN) return [];
+    if (q.kind === QUESTION_TYPE.NAME) {
+      return q.slotResults?.[1] === "spelling" ? [`Root: ${spelledLabel(q.userRootSpell)} should be ${spelledLabel(expectedRootSpell(q, q.userRootPc))}`] : [];
+    }
+    const labels = degreeLabelsFor(q);
+    return (q.slotResults || []).flatMap((r, i) => (r === "spelling"
+      ? [`${labels[i]}: ${spelledLabel(q.userSpell[i])} should be ${spelledLabel(q.correctSpell[i])}`]
+      : []));
+  }
+
+  function showQuestionResult(q) {
+    const marksEl = $(`${q.id}-marks`); if (marksEl) marksEl.textContent = `${q.marks} / ${questionMaxMarks(q)}`;
+    const titleEl = $(`${q.id}-title`); if (titleEl) titleEl.textContent = `${state.questions.indexOf(q) + 1}. ${questionTitle(q)}`;
+    $(`${q.id}-listen-actions`)?.remove();
+    renderMiniKeyboardsForQuestion(q);
+    if (PITCH_INPUT_MODES.includes(state.inputMode)) {
+      const actions = $(`${q.id}-kbd-actions`); if (actions) actions.remove();
+      const mount = $(`${q.id}-kbd-mount`); if (mount) mount.remove();
+    }
+    if (mic.qid === q.id) stopMic();
+    $(`${q.id}-mic`)?.remove();
+    if (state.inputMode === INPUT_MODE.STAFF) [`${q.id}-staff-mount`, `${q.id}-staff-accs`, `${q.id}-staff-actions`].forEach((id) => $(id)?.remove());
+  }
+
+  // -------------------- Microphone input --------------------
+  const mic = { qid: null, stream: null, source: null, analyser: null, detector: null, tracker: null, frame: null, timer: null, shift: 0 };
+
+  function micSupported() {
+    return !!navigator.mediaDevices?.getUserMedia && !!window.TriadsPitchDetector;
+  }
+
+  function micErrorText(err) {
+    if (err?.name === "NotAllowedError" || err?.name === "SecurityError") return "Microphone access was blocked. Allow it for this page in the browser's site settings, then press Listen again.";
+    if (err?.name === "NotFoundError" || err?.name === "OverconstrainedError") return "No microphone was found.";
+    return `The microphone couldn't be started (${err?.message || err?.name || "unknown error"}).`;
+  }
+
+  // Detected notes are moved by whole octaves onto the answer keyboard, all by the same amount where possible (the notes
+  // already placed move along when a new one wouldn't fit), so a low guitar or high voice voicing keeps its inversion.
+  // MIDI 60 is C4, which is pitch 48 here.
+  function micPitchOnKeyboard(q, midi) {
+    const lo = pitchFromPcOct(0, Q_KBD_START_OCT); const hi = rangeHiPitch(lo, Q_KBD_OCTAVES, Q_KBD_INCLUDE_END_C);
+    const pitch = midi - 12;
+    if (!q.selectedPitches.length) {
+      mic.shift = 0;
+      while (pitch + mic.shift < lo) mic.shift += 12;
+      while (pitch + mic.shift > hi) mic.shift -= 12;
+    }
+    let p = pitch + mic.shift;
+    const moved = q.selectedPitches.map((x) => x + (p > hi ? -12 : 12));
+    if ((p > hi || p < lo) && moved.every((x) => x >= lo && x <= hi)) {
+      mic.shift += p > hi ? -12 : 12; p = pitch + mic.shift; q.selectedPitches = moved;
+    }
+    while (p < lo) p += 12;
+    while (p > hi) p -= 12;
+    return p;
+  }
+
+  function addMicPitch(q, midi) {
+    if (state.submitted || q.checked) return;
+    q.selectedPitches = Array.isArray(q.selectedPitches) ? q.selectedPitches : [];
+    if (q.selectedPitches.length >= q.correctPcs.length || q.selectedPitches.some((p) => pcFromPitch(p) === pcFromPitch(midi))) return;
+    const pitch = micPitchOnKeyboard(q, midi);
+    q.selectedPitches.push(pitch);
+    updateQuestionFromSelectedPitches(q); renderKeyboardSlotValues(q); renderQuestionKeyboardMount(q);
+    if (q.selectedPitches.length >= q.correctPcs.length) stopMic("Heard every note. Click a key to change one, or Clear and listen again.");
+    answerChanged(q);
+  }
+
+  function setMicStatus(q, text, cls = "") {
+    const el = $(`${q.id}-mic-status`); if (!el) return;
+    el.textContent = text; el.className = cls ? `micStatus ${cls}` : "micStatus";
+  }
+
+  function syncMicButton(q) {
+    const btn = $(`${q.id}-mic-btn`); if (!btn) return;
+    const on = mic.qid === q.id;
+    btn.textContent = on ? "Stop listening" : "Listen"; btn.setAttribute("aria-pressed", on ? "true" : "false");
+  }
+
+  function renderMicMeter(q, result = null) {
+    const meter = $(`${q.id}-mic-meter`); if (!meter) return;
+    const note = result?.notes[0];
+    const db = 20 * Math.log10(Math.max(1e-4, result?.level ?? 0));
+    meter.querySelector(".micNote").textContent = note ? `${PC_SHARP[note.midi % 12]}${Math.floor(note.midi / 12) - 1}` : "—";
+    meter.querySelector(".micCents").textContent = note ? `${note.cents > 0 ? "+" : ""}${note.cents} cents` : "";
+    const needle = meter.querySelector(".micNeedle"); needle.classList.toggle("hidden", !note); needle.style.left = `${50 + (note?.cents ?? 0)}%`;
+    meter.querySelector(".micLevelFill").style.width = `${Math.max(0, Math.min(100, ((db + 60) / 60) * 100))}%`;
+  }
+
+  async function startMic(q) {
+    stopMic();
+    await resumeAudioIfNeeded();
+    const ctx = ensureAudioGraph();
+    if (!ctx || state.submitted || q.checked) return;
+    mic.qid = q.id; syncMicButton(q); setMicStatus(q, "Waiting for the microphone...");
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } });
+    } catch (err) {
+      if (mic.qid === q.id) { mic.qid = null; syncMicButton(q); }
+      setMicStatus(q, micErrorText(err), "bad");
+      return;
+    }
+    if (mic.qid !== q.id) { stream.getTracks().forEach((t) => t.stop()); return; } // stopped while the browser was asking
+    mic.stream = stream; mic.source = ctx.createMediaStreamSource(stream);
+    mic.analyser = ctx.createAnalyser(); mic.analyser.fftSize = MIC_FRAME_SIZE; mic.source.connect(mic.analyser);
+    mic.frame = new Float32Array(mic.analyser.fftSize);
+    mic.detector = window.TriadsPitchDetector.createPitchDetector({ sampleRate: ctx.sampleRate });
+    mic.tracker = window.TriadsPitchDetector.createNoteTracker();
+    mic.timer = window.setInterval(() => readMic(q), MIC_POLL_MS);
+    setMicStatus(q, "Listening: play or sing the notes one at a time, or strum the chord.");
+  }
+
+  function readMic(q) {
+    if (!mic.analyser) return;
+    mic.analyser.getFloatTimeDomainData(mic.frame);
+    const result = mic.detector.analyse(mic.frame);
+    const onsets = mic.tracker.push(result);
+    renderMicMeter(q, result);
+    // The quiz's own playback reaches the microphone too: it still feeds the tracker's history, but gives no notes.
+    if (activeVoices.size) return;
+    onsets.forEach((n) => addMicPitch(q, n.midi));
+  }
+
+  function stopMic(message = "") {
+    const q = state.questions.find((x) => x.id === mic.qid);
+    window.clearInterval(mic.timer);
+    mic.stream?.getTracks().forEach((t) => t.stop());
+    try { mic.source?.disconnect(); } catch {}
+    Object.assign(mic, { qid: null, stream: null, source: null, analyser: null, detector: null, tracker: null, frame: null, timer: null });
+    if (q) { syncMicButton(q); renderMicMeter(q); setMicStatus(q, message); }
+  }
+
+  function renderMicInputForQuestion(q, li) {
+    const wrap = renderKeyboardInputForQuestion(q, li);
+    const row = document.createElement("div"); row.className = "qMicRow"; row.id = `${q.id}-mic`;
+    const btn = document.createElement("button");
+    btn.type = "button"; btn.className = "primary"; btn.id = `${q.id}-mic-btn`; btn.textContent = "Listen"; btn.setAttribute("aria-pressed", "false");
+    btn.disabled = state.submitted || !micSupported();
+    btn.addEventListener("click", () => { if (mic.qid === q.id) stopMic(); else startMic(q); });
+    const meter = document.createElement("div"); meter.className = "micMeter"; meter.id = `${q.id}-mic-meter`; meter.setAttribute("aria-hidden", "true");
+    meter.innerHTML = '<span class="micNote">—</span><span class="micTune"><span class="micNeedle hidden"></span></span><span class="micCents"></span><span class="micLevel"><span class="micLevelFill"></span></span>';
+    const status = document.createElement("div"); status.className = "micStatus"; status.id = `${q.id}-mic-status`; status.setAttribute("role", "status");
+    if (!micSupported()) { status.textContent = "This browser can't use a microphone here (it needs a secure https page). Use the keyboard below instead."; status.classList.add("bad"); }
+    row.appendChild(btn); row.appendChild(meter); row.appendChild(status);
+    wrap.insertBefore(row, wrap.querySelector(".qKbdMount"));
+  }
+
+  // -------------------- Check as you go --------------------
+  function checkingAsYouGo() {
+    return state.checkAsYouGo && state.challenge !== CHALLENGE.STREAK;
+  }
+
+  function questionComplete(q) {
+    if (isNamingQuestion(q)) return !!q.userQuality && (!q.nameRoot || q.userRootPc != null);
+    if (PITCH_INPUT_MODES.includes(state.inputMode)) return (q.selectedPitches || []).length === q.correctPcs.length;
+    if (state.inputMode === INPUT_MODE.STAFF) return (q.staffNotes || []).length === q.correctPcs.length;
+    return q.userPcs.every((pc) => pc != null);
+  }
+
+  function buildCheckRow(q) {
+    const row = document.createElement("div"); row.className = "qSlotBtnRow qCheckRow"; row.id = `${q.id}-check-row`;
+    const btn = document.createElement("button"); btn.type = "button"; btn.textContent = "Check answer";
+    btn.addEventListener("click", () => checkQuestion(q));
+    row.appendChild(btn);
+    return row;
+  }
+
+  function lockQuestionCard(q) {
+    const li = questionsList.querySelector(`.qCard[data-qid="${q.id}"]`);
+    li?.querySelectorAll(".qGrid select, .qGrid input, .qTextInput").forEach((el) => el.disabled = true);
+    li?.classList.add("checked");
+    $(`${q.id}-check-row`)?.remove();
+  }
+
+  // Marks one question with the same rules as markAll and locks it; markAll still totals everything at the end.
+  function checkQuestion(q) {
+    if (!state.started || state.submitted || q.checked) return;
+    const marks = markQuestion(q); const max = questionMaxMarks(q);
+    q.checked = true; inputModeBtn.disabled = true;
+    showQuestionResult(q); lockQuestionCard(q);
+    playUiSound(marks === max ? "correct1.mp3" : "incorrect1.mp3");
+    const left = state.questions.filter((x) => !x.checked).length;
+    announce(`Question ${state.questions.indexOf(q) + 1}: ${marks} of ${max}.${left ? "" : " All questions checked. Press Submit Answers for your total."}`);
+    saveSession();
+    window.__triadsSendHeight?.();
+  }
+
+  // restoring: rebuild the results of a saved, already-submitted quiz without recording it a second time.
+  function markAll({ restoring = false } = {}) {
+    stopChallengeTimer(); stopMic();
+    state.submitted = true; syncChallengeView(); setSelectDisabledAll(true); submitBtn.disabled = true; inputModeBtn.disabled = true;
+    let total = 0; const max = state.questions.reduce((a, q) => a + questionMaxMarks(q), 0);
+
+    for (const q of state.questions) {
+      total += markQuestion(q);
+      showQuestionResult(q); $(`${q.id}-check-row`)?.remove();
+    }
+
+    if (!restoring) {
+      state.submittedOn = new Date();
+      recordMastery(state.questions);
+      recordHistory(total, max);
+      recordHighScore(total, max);
+      saveSession();
+      postToHost("triads:submitted", { state: embedSnapshot(), total, max, percentage: pct(total, max), timeTakenSec: timeTakenSec() });
+      reportToLms(total, max);
+    }
+    resultsSummary.innerHTML = `Total: <strong>${total} / ${max}</strong><br>Percentage: <strong>${Math.round((total / max) * 1000) / 10}%</strong><br>Time taken: <strong>${formatDuration(timeTakenSec())}</strong>`;
+    if (state.challenge === CHALLENGE.STREAK) resultsSummary.innerHTML += `<br>Streak: <strong>${state.streak}</strong> (your best: ${bestStreak()})`;
+    renderHighScores();
+    resultsPanel.classList.remove("hidden"); downloadScorecardBtn.disabled = false;
+    announce(`Quiz marked. You scored ${total} out of ${max}, ${Math.round((total / max) * 1000) / 10} percent. ${state.questions.map((q, i) => `Question ${i + 1}: ${q.marks} of ${questionMaxMarks(q)}`).join(". ")}.`);
+    window.__triadsSendHeight?.();
+  }
+
+  // -------------------- Challenge modes (timed & streak) --------------------
+  let challengeTimerId = 0;
+  let challengeWarnedFor = 0;
+
+  function updateChallengeOptions() {
+    state.challenge = Object.values(CHALLENGE).includes(challengeSelect?.value) ? challengeSelect.value : CHALLENGE.OFF;
+    const minutes = Number(quizMinutesSelect?.value);
+    state.quizMinutes = QUIZ_TIME_MINUTES.includes(minutes) ? minutes : DEFAULT_QUIZ_MINUTES;
+    const seconds = Number(questionSecondsSelect?.value);
+    state.questionSeconds = QUESTION_TIME_SECONDS.includes(seconds) ? seconds : DEFAULT_QUESTION_SECONDS;
+    state.checkAsYouGo = !!checkAsYouGoCheck?.checked;
+    quizTimeRow?.classList.toggle("hidden", state.challenge !== CHALLENGE.QUIZ_CLOCK);
+    questionTimeRow?.classList.toggle("hidden", state.challenge !== CHALLENGE.QUESTION_CLOCK);
+  }
+
+  function challengeDescription() {
+    if (state.challenge === CHALLENGE.QUIZ_CLOCK) return `Beat the clock (${state.quizMinutes} min for the quiz)`;
+    if (state.challenge === CHALLENGE.QUESTION_CLOCK) return `Beat the clock (${state.questionSeconds} s per question)`;
+    if (state.challenge === CHALLENGE.STREAK) return "Streak (until the first mistake)";
+    return "Normal";
+  }
+
+  function isOneAtATime() {
+    return state.challenge === CHALLENGE.QUESTION_CLOCK || state.challenge === CHALLENGE.STREAK;
+  }
+
+  function challengeDeadline() {
+    if (state.challenge === CHALLENGE.QUIZ_CLOCK) return Date.now() + state.quizMinutes * 60000;
+    if (state.challenge === CHALLENGE.QUESTION_CLOCK) return Date.now() + state.questionSeconds * 1000;
+    return 0;
+  }
+
+  // Streak question n always comes from the same seed, so a resumed streak carries on with the same chords.
+  function nextStreakQuestion() {
+    const n = state.questions.length;
+    return generateQuestions(1, { ...questionOptions(), random: makeRng((state.seed + n * STREAK_SEED_STEP) >>> 0), idOffset: n })[0];
+  }
+
+  function timeTakenSec() {
+    if (!state.createdOn) return 0;
+    const end = state.submittedOn ?? new Date();
+    const sec = Math.max(0, Math.round((end - state.createdOn) / 1000));
+    return state.challenge === CHALLENGE.QUIZ_CLOCK ? Math.min(sec, state.quizMinutes * 60) : sec;
+  }
+
+  function syncChallengeView() {
+    const active = state.started && !state.submitted && state.challenge !== CHALLENGE.OFF;
+    challengeBar?.classList.toggle("hidden", !active);
+    questionsList.classList.toggle("oneAtATime", active && isOneAtATime());
+    questionsList.querySelectorAll(".qCard").forEach((li, i) => li.classList.toggle("current", i === state.currentIdx));
+    if (challengeNextBtn) {
+      challengeNextBtn.classList.toggle("hidden", !isOneAtATime());
+      challengeNextBtn.textContent = state.challenge === CHALLENGE.STREAK ? "Check answer"
+        : state.currentIdx >= state.questions.length - 1 ? "Finish quiz" : "Next question";
+    }
+    renderChallengeStatus();
   }
 
-  function startGame() {
-    state.started = true; state.submitted = false; state.questions = generateQuestions(state.questionCount);
-    state.createdOn = new Date(); state.createdOnText = state.createdOn.toLocaleDateString("en-GB");
-    renderQuiz();
-    submitBtn.disabled = false; downloadTaskBtn.disabled = false; downloadScorecardBtn.disabled = true; resetBtn.disabled = false;
-    inputModeBtn.disabled = false; syncInputModeBtnText(); updateKeyboardModeHint();
-    beginModal.classList.add("hidden");
+  function renderChallengeStatus() {
+    if (!challengeStatus) return;
+    const left = state.deadline ? Math.max(0, Math.ceil((state.deadline - Date.now()) / 1000)) : null;
+    const clock = left == null ? "" : `⏱ ${formatDuration(left)} left`;
+    const parts = state.challenge === CHALLENGE.STREAK ? [`Streak: ${state.streak}`, `Question ${state.currentIdx + 1}`]
+      : state.challenge === CHALLENGE.QUESTION_CLOCK ? [`Question ${state.currentIdx + 1} of ${state.questions.length}`, clock]
+      : [clock];
+    challengeStatus.textContent = parts.filter(Boolean).join(" • ");
+    challengeStatus.classList.toggle("urgent", left != null && left <= CHALLENGE_WARN_SEC);
   }
 
-  function updateKeyboardModeHint() {
-    if (!kbdModeHint) return;
-    if (state.inputMode === INPUT_MODE.KEYBOARD) kbdModeHint.classList.remove("hidden");
-    else kbdModeHint.classList.add("hidden");
+  function startChallengeTimer() {
+    stopChallengeTimer();
+    if (!state.started || state.submitted || !state.deadline) return;
+    challengeTimerId = window.setInterval(tickChallenge, 250);
+    tickChallenge();
   }
 
-  function syncInputModeBtnText() {
-    inputModeBtn.textContent = state.inputMode === INPUT_MODE.KEYBOARD ? "Input mode: Keyboard" : "Input mode: Dropdown";
+  function stopChallengeTimer() {
+    if (challengeTimerId) window.clearInterval(challengeTimerId);
+    challengeTimerId = 0;
   }
 
-  function chunkArray(arr, size) {
-    const out = []; const n = Math.max(1, Math.floor(size));
-    for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n));
-    return out;
+  function tickChallenge() {
+    if (!state.started || state.submitted) { stopChallengeTimer(); return; }
+    const left = state.deadline - Date.now();
+    if (left > 0) {
+      if (left <= CHALLENGE_WARN_SEC * 1000 && challengeWarnedFor !== state.deadline) {
+        challengeWarnedFor = state.deadline; announce(`${CHALLENGE_WARN_SEC} seconds left.`);
+      }
+      renderChallengeStatus();
+      return;
+    }
+    if (state.challenge === CHALLENGE.QUESTION_CLOCK) advanceChallenge({ timedOut: true });
+    else { announce("Time is up."); markAll(); }
   }
 
-  function updatePageAdvice() {
-    const qCount = clampQuestions(Number(questionCountSelect?.value ?? 10));
-    state.questionCount = qCount;
-    const perPageLimit = state.inputMode === INPUT_MODE.KEYBOARD ? TASK_Q_PER_PAGE_KBD : TASK_Q_PER_PAGE_DROPDOWN;
-    const pages = Math.ceil(qCount / perPageLimit);
-    const perPage = qCount <= perPageLimit ? `${qCount} on 1 page` : `${perPageLimit} per page (last page ${qCount % perPageLimit || perPageLimit})`;
-    if (pageAdvice) pageAdvice.textContent = `PDF tip: ${qCount} questions → ${pages} A4 page(s), ${perPage}.`;
+  function focusCurrentQuestion() {
+    const card = questionsList.querySelector(".qCard.current");
+    card?.querySelector("select, input, button, .key[tabindex='0']")?.focus();
   }
 
-  // -------------------- Rendering --------------------
-  function buildNoteSelect(selectId) {
-    const sel = document.createElement("select"); sel.id = selectId;
-    const opt0 = document.createElement("option"); opt0.value = ""; opt0.textContent = "— select —";
-    sel.appendChild(opt0);
-    for (const opt of NOTE_OPTIONS) {
-      const o = document.createElement("option"); o.value = String(opt.pc); o.textContent = opt.label;
-      sel.appendChild(o);
+  function advanceChallenge({ timedOut = false } = {}) {
+    if (!state.started || state.submitted || !isOneAtATime()) return;
+    const q = state.questions[state.currentIdx];
+    if (state.challenge === CHALLENGE.STREAK) {
+      if (markQuestion(q) < questionMaxMarks(q)) { playUiSound("incorrect1.mp3"); markAll(); return; }
+      playUiSound("correct1.mp3");
+      state.streak += 1; state.questions.push(nextStreakQuestion()); state.currentIdx += 1;
+    } else {
+      if (state.currentIdx >= state.questions.length - 1) { if (timedOut) announce("Time is up."); markAll(); return; }
+      state.currentIdx += 1; state.deadline = challengeDeadline();
     }
-    return sel;
+    state.qwertyQid = state.questions[state.currentIdx].id;
+    if (state.challenge === CHALLENGE.STREAK) renderQuiz(); else syncChallengeView();
+    focusCurrentQuestion(); saveSession();
+    announce(state.challenge === CHALLENGE.STREAK ? `Correct! Streak ${state.streak}.` : `${timedOut ? "Time is up. " : ""}Question ${state.currentIdx + 1}.`);
   }
 
-  function clearQuestionAnswer(q) {
-    q.userPcs = [null, null, null];
-    q.activeIdx = 0;
+  // -------------------- High scores --------------------
+  function loadHighScores() {
+    const list = readJsonStorage(HIGHSCORES_KEY, []);
+    return Array.isArray(list) ? list : [];
   }
 
-  function updateQuestionFromSelectedPitches(q) {
-    const pitches = Array.isArray(q.selectedPitches) ? q.selectedPitches.slice() : [];
-    pitches.sort((a, b) => a - b);
-    q.selectedPitches = pitches;
-    const pcs = pitches.map((p) => pcFromPitch(p));
-    q.userPcs = [null, null, null];
-    if (pcs.length >= 1) q.userPcs[0] = pcs[0];
-    if (pcs.length >= 2) q.userPcs[1] = pcs[1];
-    if (pcs.length >= 3) q.userPcs[2] = pcs[2];
-    q.octaveError = pitches.length >= 2 ? (pitches[pitches.length - 1] - pitches[0] > 11) : false;
+  // Runs are only ranked against comparable ones: the same challenge, and for timed runs the same limit and question count.
+  function highScoreTable(e) {
+    return e.challenge === CHALLENGE.STREAK ? e.challenge : `${e.challenge}|${e.limitSec}|${e.questionCount}`;
   }
 
-  function renderKeyboardInputForQuestion(q, li) {
-    updateQuestionFromSelectedPitches(q);
-    const wrap = document.createElement("div"); wrap.className = "qKbdWrap";
-    const slots = document.createElement("div"); slots.className = "qSlots";
+  function challengeLimitSec() {
+    return state.challenge === CHALLENGE.QUIZ_CLOCK ? state.quizMinutes * 60 : state.challenge === CHALLENGE.QUESTION_CLOCK ? state.questionSeconds : 0;
+  }
 
-    const labels = ["1st (root)", "3rd", "5th"];
-    labels.forEach((lab, idx) => {
-      const s = document.createElement("div"); s.className = "qSlot"; s.dataset.slot = String(idx);
-      const l = document.createElement("div"); l.className = "qSlotLabel"; l.textContent = lab;
-      const v = document.createElement("div"); v.className = "qSlotValue"; v.id = `${q.id}-slot-${idx}`;
-      v.textContent = q.userPcs[idx] == null ? "—" : noteLabelForPc(q.userPcs[idx]);
-      s.appendChild(l); s.appendChild(v); slots.appendChild(s);
-    });
+  function currentHighScoreTable() {
+    return highScoreTable({ challenge: state.challenge, limitSec: challengeLimitSec(), questionCount: state.questions.length });
+  }
 
-    const mount = document.createElement("div"); mount.className = "qKbdMount mount"; mount.id = `${q.id}-kbd-mount`;
-    const btnRow = document.createElement("div"); btnRow.className = "qSlotBtnRow"; btnRow.id = `${q.id}-kbd-actions`;
+  function rankHighScores(list, table) {
+    const rows = list.filter((e) => highScoreTable(e) === table);
+    return rows[0]?.challenge === CHALLENGE.STREAK
+      ? rows.sort((a, b) => b.streak - a.streak || a.timeSec - b.timeSec)
+      : rows.sort((a, b) => b.pct - a.pct || a.timeSec - b.timeSec);
+  }
 
-    const hearBtn = document.createElement("button");
-    hearBtn.type = "button"; hearBtn.textContent = "Hear selection"; hearBtn.disabled = state.submitted;
-    hearBtn.addEventListener("click", async () => {
-      await resumeAudioIfNeeded(); stopAllNotes(0.02);
-      const pitches = (q.selectedPitches || []).slice().sort((a,b)=>a-b);
-      if (!pitches.length) return;
-      await playPitchesWindowed(pitches, 1.2);
-    });
+  function recordHighScore(total, max) {
+    if (state.challenge === CHALLENGE.OFF) return;
+    const submitted = state.submittedOn?.getTime() ?? Date.now();
+    const entry = {
+      id: `s${submitted.toString(36)}`, date: new Date(submitted).toISOString(), player: masteryPlayer(), challenge: state.challenge,
+      limitSec: challengeLimitSec(),
+      questionCount: state.questions.length, total, max, pct: pct(total, max), timeSec: timeTakenSec(), streak: state.streak,
+    };
+    const list = loadHighScores(); const table = highScoreTable(entry);
+    const others = list.filter((e) => highScoreTable(e) !== table);
+    writeJsonStorage(HIGHSCORES_KEY, [...others, ...rankHighScores([...list, entry], table).slice(0, HIGHSCORES_PER_CHALLENGE)]);
+    state.highScoreId = entry.id;
+  }
 
-    const clearBtn = document.createElement("button");
-    clearBtn.type = "button"; clearBtn.textContent = "Clear"; clearBtn.disabled = state.submitted;
-    clearBtn.addEventListener("click", () => {
-      if (state.submitted) return;
-      clearQuestionAnswer(q); updateQuestionFromSelectedPitches(q); renderQuestionKeyboardMount(q); renderKeyboardSlotValues(q);
+  function bestStreak() {
+    return loadHighScores().filter((e) => e.challenge === CHALLENGE.STREAK && e.player === masteryPlayer())
+      .reduce((best, e) => Math.max(best, e.streak || 0), state.streak);
+  }
+
+  function renderHighScores() {
+    if (!highScoresCard || !highScoresBody) return;
+    highScoresCard.classList.toggle("hidden", state.challenge === CHALLENGE.OFF);
+    if (state.challenge === CHALLENGE.OFF) return;
+    const rows = rankHighScores(loadHighScores(), currentHighScoreTable()).slice(0, HIGHSCORES_SHOWN);
+    const streak = state.challenge === CHALLENGE.STREAK;
+    const caption = streak ? challengeDescription() : `${challengeDescription()}, ${state.questions.length} question${state.questions.length === 1 ? "" : "s"}`;
+    const table = document.createElement("table"); table.className = "highScoreTable";
+    table.innerHTML = `<caption>${escapeHtml(caption)}</caption><thead><tr><th>#</th><th>Player</th><th>${streak ? "Streak" : "Score"}</th><th>Time</th><th>Date</th></tr></thead>`;
+    const body = document.createElement("tbody");
+    rows.forEach((e, i) => {
+      const tr = document.createElement("tr"); if (e.id === state.highScoreId) tr.className = "current";
+      const score = streak ? String(e.streak) : `${e.total} / ${e.max} (${e.pct}%)`;
+      tr.innerHTML = `<td>${i + 1}</td><td>${escapeHtml(e.player)}</td><td>${score}</td><td>${formatDuration(e.timeSec)}</td><td>${escapeHtml(new Date(e.date).toLocaleDateString("en-GB"))}</td>`;
+      body.appendChild(tr);
     });
+    if (!rows.length) body.innerHTML = `<tr><td colspan="5">—</td></tr>`;
+    table.appendChild(body);
+    highScoresBody.innerHTML = ""; highScoresBody.appendChild(table);
+  }
 
-    btnRow.appendChild(hearBtn); btnRow.appendChild(clearBtn);
-    wrap.appendChild(slots); wrap.appendChild(mount); wrap.appendChild(btnRow);
-    li.appendChild(wrap);
-    renderQuestionKeyboardMount(q, mount);
+  // -------------------- History --------------------
+  function loadHistory() {
+    const list = readJsonStorage(HISTORY_KEY, []);
+    return Array.isArray(list) ? list : [];
   }
 
-  function renderKeyboardSlotValues(q) {
-    for (let i = 0; i < 3; i++) {
-      const el = $(`${q.id}-slot-${i}`);
-      if (el) el.textContent = q.userPcs[i] == null ? "—" : noteLabelForPc(q.userPcs[i]);
-    }
+  function recordHistory(total, max) {
+    const submitted = state.submittedOn?.getTime() ?? Date.now();
+    const entry = {
+      id: `h${submitted.toString(36)}`,
+      date: new Date(submitted).toISOString(),
+      player: masteryPlayer(),
+      mode: {
+        questionType: state.questionType, inputMode: state.inputMode, chordTypes: Object.keys(CHORD_TYPES).filter((t) => state.questions.some((q) => q.quality === t)),
+        keys: state.keys.slice(), inversions: state.inversions.slice(), strictSpelling: state.strictSpelling, challenge: state.challenge,
+        quizFile: state.quizFile?.title ?? null,
+      },
+      questionCount: state.questions.length, total, max,
+      timeTakenSec: timeTakenSec(),
+      questions: state.questions.map(questionResult),
+    };
+    const list = loadHistory();
+    list.push(entry);
+    writeJsonStorage(HISTORY_KEY, list.slice(-HISTORY_MAX_ENTRIES));
   }
 
-  function renderQuestionKeyboardMount(q, mountEl = null) {
-    const mount = mountEl || $(`${q.id}-kbd-mount`);
-    if (!mount) return;
-    const startPitch = pitchFromPcOct(0, Q_KBD_START_OCT);
-    const hl = buildPitchHighlightMapForRange({
-      startPitch, octaves: Q_KBD_OCTAVES, includeEndC: Q_KBD_INCLUDE_END_C, selectedPitches: q.selectedPitches,
-    });
+  function formatDuration(sec) {
+    const s = Math.max(0, Math.round(sec || 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  }
 
-    mount.innerHTML = "";
-    mount.appendChild(
-      buildKeyboardSvg({
-        startPitch, octaves: Q_KBD_OCTAVES, includeEndC: Q_KBD_INCLUDE_END_C,
-        widthPx: 880, heightPx: 165, interactive: !state.submitted, ariaLabel: "Question keyboard", highlight: hl,
-        onKeyDown: async (pitch, groupEl) => {
-          if (state.submitted) return;
-          await resumeAudioIfNeeded(); stopAllNotes(0.02); await playPitchesWindowed([pitch], 0.7); flashKeyGroup(groupEl, 180);
-          q.selectedPitches = Array.isArray(q.selectedPitches) ? q.selectedPitches : [];
-          const p = Math.round(pitch);
-          const idx = q.selectedPitches.indexOf(p);
-          if (idx >= 0) q.selectedPitches.splice(idx, 1);
-          else { if (q.selectedPitches.length >= 3) return; q.selectedPitches.push(p); }
-          updateQuestionFromSelectedPitches(q); renderKeyboardSlotValues(q); renderQuestionKeyboardMount(q);
-        },
-      })
-    );
+  function pct(n, d) {
+    return d ? Math.round((n / d) * 1000) / 10 : 0;
   }
 
-  function renderQuiz() {
-    questionsList.innerHTML = ""; quizMeta.textContent = "";
-    state.questions.forEach((q, index) => {
-      const li = document.createElement("li"); li.className = "qCard"; li.dataset.qid = q.id;
-      const top = document.createElement("div"); top.className = "qTop";
-      const title = document.createElement("div"); title.className = "qTitle";
-      title.textContent = `${index + 1}. ${chordName(q.rootPc, q.quality)}`;
-      const marks = document.createElement("div"); marks.className = "qMarks"; marks.id = `${q.id}-marks`; marks.textContent = "0 / 3";
-      top.appendChild(title); top.appendChild(marks); li.appendChild(top);
+  function historyForSelectedPlayer() {
+    const player = historyPlayerSelect?.value ?? "";
+    const list = loadHistory();
+    return player ? list.filter((e) => e.player === player) : list;
+  }
 
-      if (state.inputMode === INPUT_MODE.DROPDOWN) {
-        const grid = document.createElement("div"); grid.className = "qGrid";
-        const fields = [{ label: "1st (root)", idx: 0 }, { label: "3rd", idx: 1 }, { label: "5th", idx: 2 }];
-        for (const f of fields) {
-          const wrap = document.createElement("div"); wrap.className = "qField";
-          const lab = document.createElement("label"); lab.setAttribute("for", `${q.id}-sel-${f.idx}`); lab.textContent = f.label;
-          const sel = buildNoteSelect(`${q.id}-sel-${f.idx}`);
-          sel.value = q.userPcs[f.idx] == null ? "" : String(q.userPcs[f.idx]); sel.disabled = state.submitted;
-          sel.addEventListener("change", () => q.userPcs[f.idx] = sel.value === "" ? null : Number(sel.value));
-          wrap.appendChild(lab); wrap.appendChild(sel); grid.appendChild(wrap);
-        }
-        li.appendChild(grid);
-      } else {
-        renderKeyboardInputForQuestion(q, li);
+  function accuracyBy(entries, keyFn, labelFn) {
+    const map = new Map();
+    for (const e of entries) {
+      for (const q of e.questions || []) {
+        const k = keyFn(q);
+        const cur = map.get(k) || { label: labelFn(q), marks: 0, max: 0, missed: 0 };
+        cur.marks += q.marks || 0; cur.max += q.max || 0;
+        if ((q.marks || 0) < (q.max || 0)) cur.missed += 1;
+        map.set(k, cur);
       }
+    }
+    return Array.from(map.values());
+  }
 
-      const feedback = document.createElement("div"); feedback.className = "qFeedback hidden"; feedback.id = `${q.id}-feedback`;
-      li.appendChild(feedback); questionsList.appendChild(li);
-    });
+  function buildTrendSvg(entries) {
+    const pts = entries.slice(-HISTORY_TREND_POINTS).map((e) => pct(e.total, e.max));
+    const W = 600; const H = 160; const PAD = 24;
+    const svg = svgEl("svg", { viewBox: `0 0 ${W} ${H}`, width: W, height: H, role: "img", "aria-label": `Score trend over the last ${pts.length} quizzes` });
+    for (const v of [0, 50, 100]) {
+      const y = H - PAD - (v / 100) * (H - PAD * 2);
+      svg.appendChild(svgEl("line", { x1: PAD, x2: W - 6, y1: y, y2: y, class: "trendGrid" }));
+      const t = svgEl("text", { x: 2, y: y + 4, class: "trendAxis" }); t.textContent = `${v}%`; svg.appendChild(t);
+    }
+    const step = pts.length > 1 ? (W - PAD - 12) / (pts.length - 1) : 0;
+    const coords = pts.map((v, i) => [PAD + 6 + i * step, H - PAD - (v / 100) * (H - PAD * 2)]);
+    if (coords.length > 1) svg.appendChild(svgEl("polyline", { points: coords.map((c) => c.join(",")).join(" "), class: "trendLine" }));
+    for (const [x, y] of coords) svg.appendChild(svgEl("circle", { cx: x, cy: y, r: 4, class: "trendDot" }));
+    return svg;
+  }
+
+  function buildAccuracyTable(title, rows) {
+    const wrap = document.createElement("div"); wrap.className = "historyBlock";
+    const h = document.createElement("div"); h.className = "historyBlockTitle"; h.textContent = title; wrap.appendChild(h);
+    if (!rows.length) { const none = document.createElement("div"); none.textContent = "—"; wrap.appendChild(none); return wrap; }
+    for (const r of rows) {
+      const row = document.createElement("div"); row.className = "historyBarRow";
+      const v = pct(r.marks, r.max);
+      row.innerHTML = `<span class="historyBarLabel">${escapeHtml(r.label)}</span><span class="historyBar"><span style="width:${v}%"></span></span><span class="historyBarValue">${v}%</span>`;
+      wrap.appendChild(row);
+    }
+    return wrap;
+  }
+
+  function renderHistory() {
+    if (!historyBody) return;
+    const players = Array.from(new Set(loadHistory().map((e) => e.player))).sort();
+    if (historyPlayerSelect) {
+      const keep = historyPlayerSelect.value || state.playerName || "";
+      historyPlayerSelect.innerHTML = `<option value="">All players</option>${players.map((p) => `<option>${escapeHtml(p)}</option>`).join("")}`;
+      historyPlayerSelect.value = players.includes(keep) ? keep : "";
+    }
+    const entries = historyForSelectedPlayer();
+    historyBody.innerHTML = "";
+    if (!entries.length) { historyBody.textContent = "No quizzes recorded yet - submit a quiz and it will appear here."; return; }
+
+    const totals = entries.reduce((a, e) => ({ marks: a.marks + e.total, max: a.max + e.max }), { marks: 0, max: 0 });
+    const last = entries[entries.length - 1];
+    const summary = document.createElement("div"); summary.className = "historySummary";
+    summary.innerHTML = `Quizzes: <strong>${entries.length}</strong> • Overall: <strong>${pct(totals.marks, totals.max)}%</strong> • Last: <strong>${pct(last.total, last.max)}%</strong> (${escapeHtml(new Date(last.date).toLocaleDateString("en-GB"))}, ${formatDuration(last.timeTakenSec)})`;
+    historyBody.appendChild(summary);
+
+    const trend = document.createElement("div"); trend.className = "historyBlock";
+    trend.innerHTML = `<div class="historyBlockTitle">Score trend</div>`;
+    trend.appendChild(buildTrendSvg(entries));
+    historyBody.appendChild(trend);
+
+    const byRoot = accuracyBy(entries, (q) => q.rootPc, (q) => noteLabelForPc(q.rootPc)).sort((a, b) => pct(a.marks, a.max) - pct(b.marks, b.max));
+    const byQuality = accuracyBy(entries, (q) => q.quality, (q) => chordType(q.quality).label).sort((a, b) => pct(a.marks, a.max) - pct(b.marks, b.max));
+    const grid = document.createElement("div"); grid.className = "historyGrid";
+    grid.appendChild(buildAccuracyTable("Accuracy by root", byRoot));
+    grid.appendChild(buildAccuracyTable("Accuracy by quality", byQuality));
+    historyBody.appendChild(grid);
+
+    const missed = accuracyBy(entries, (q) => `${q.root}|${q.quality}|${q.inversion}`, (q) => {
+      const name = `${q.root} ${chordType(q.quality).label}`;
+      return q.inversion ? `${name}, ${INVERSION_NAMES[q.inversion]}` : name;
+    }).filter((r) => r.missed > 0).sort((a, b) => b.missed - a.missed || pct(a.marks, a.max) - pct(b.marks, b.max)).slice(0, 8);
+    const missedBlock = document.createElement("div"); missedBlock.className = "historyBlock";
+    missedBlock.innerHTML = `<div class="historyBlockTitle">Most-missed chords</div>${missed.length
+      ? `<ol class="historyMissed">${missed.map((r) => `<li>${escapeHtml(r.label)} — missed ${r.missed}×</li>`).join("")}</ol>`
+      : "None yet - nice work!"}`;
+    historyBody.appendChild(missedBlock);
     window.__triadsSendHeight?.();
   }
 
-  function setSelectDisabledAll(disabled) {
-    questionsList.querySelectorAll("select").forEach((s) => s.disabled = disabled);
+  function downloadTextFile(filename, text, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement("a"); a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
-  function makeMiniKeyboardBlock({ title, mountId, btnText, onPlay }) {
-    const block = document.createElement("div"); block.className = "miniKbdBlock";
-    const t = document.createElement("div"); t.className = "miniKbdTitle"; t.textContent = title;
-    const mount = document.createElement("div"); mount.className = "mount miniMount"; mount.id = mountId;
-    const btnRow = document.createElement("div"); btnRow.className = "miniBtnRow";
-    const btn = document.createElement("button"); btn.type = "button"; btn.textContent = btnText;
-    btn.addEventListener("click", onPlay);
-    btnRow.appendChild(btn); block.appendChild(t); block.appendChild(mount); block.appendChild(btnRow);
-    return block;
+  function csvCell(v) {
+    const str = String(v ?? "");
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
   }
 
-  function renderMiniKeyboardsForQuestion(q) {
-    const fb = $(`${q.id}-feedback`); if (!fb) return;
-    fb.innerHTML = ""; fb.classList.remove("hidden");
-    const row = document.createElement("div"); row.className = "qFeedbackRow";
+  function historyToCsv(entries) {
+    const rows = [["date", "player", "quiz_id", "question_type", "input_mode", "time_taken_sec", "quiz_total", "quiz_max", "question", "chord", "kind", "root", "quality", "inversion", "marks", "max"]];
+    for (const e of entries) {
+      (e.questions || []).forEach((q, i) => rows.push([
+        e.date, e.player, e.id, e.mode?.questionType, e.mode?.inputMode, e.timeTakenSec, e.total, e.max,
+        i + 1, q.title, q.kind, q.root, q.quality, q.inversion, q.marks, q.max,
+      ]));
+    }
+    return rows.map((r) => r.map(csvCell).join(",")).join("\n");
+  }
 
-    const miniStartPitch = pitchFromPcOct(0, MINI_KBD_START_OCT);
-    const correctPitches = triadRootPositionPitches(q.rootPc, q.quality, MINI_KBD_START_OCT);
-    const correctPcs = q.correctPcs.slice();
-    const answeredPcs = q.userPcs.slice();
+  function exportHistory(format) {
+    const entries = historyForSelectedPlayer();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") downloadTextFile(`Triads History (${stamp}).csv`, historyToCsv(entries), "text/csv");
+    else downloadTextFile(`Triads History (${stamp}).json`, JSON.stringify(entries, null, 2), "application/json");
+  }
 
-    const answeredPitches = state.inputMode === INPUT_MODE.KEYBOARD && (q.selectedPitches || []).length
-      ? (q.selectedPitches || []).slice().sort((a, b) => a - b)
-      : answeredRootPositionPitches(q.userPcs, MINI_KBD_START_OCT);
+  function clearHistory() {
+    const player = historyPlayerSelect?.value ?? "";
+    if (!window.confirm(player ? `Clear the quiz history for ${player}?` : "Clear the quiz history for all players?")) return;
+    writeJsonStorage(HISTORY_KEY, player ? loadHistory().filter((e) => e.player !== player) : []);
+    renderHistory();
+  }
 
-    const answeredMap = new Map();
-    if (state.inputMode === INPUT_MODE.KEYBOARD) {
-      for (const p of answeredPitches) {
-        const pc = pcFromPitch(p);
-        answeredMap.set(p, correctPcs.includes(pc) ? "ok" : "bad");
-      }
-    } else {
-      for (let i = 0; i < answeredPcs.length; i++) {
-        const pc = answeredPcs[i]; if (pc == null) continue;
-        const pitch = answeredPitches[i] ?? null; if (pitch == null) continue;
-        answeredMap.set(pitch, correctPcs.includes(pc) ? "ok" : "bad");
+  // -------------------- PDF export (vector) --------------------
+  // Pages are plain layout models drawn with jsPDF primitives: text stays text and keyboards reuse keyboardGeometry.
+  const pdfImageCache = new Map();
+
+  async function loadPdfImage(src) {
+    if (pdfImageCache.has(src)) return pdfImageCache.get(src);
+    let img = null;
+    try {
+      const res = await fetch(src);
+      if (res.ok) {
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        let bin = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        const dv = new DataView(bytes.buffer, bytes.byteOffset);
+        if (bytes.length > 24) img = { data: `data:image/png;base64,${btoa(bin)}`, width: dv.getUint32(16), height: dv.getUint32(20) };
       }
+    } catch {}
+    pdfImageCache.set(src, img);
+    return img;
+  }
+
+  // Standard PDF fonts only cover Latin-1, so music symbols are written the ASCII way.
+  function pdfText(s) {
+    return String(s ?? "").replace(/♭/g, "b").replace(/♯/g, "#").replace(/𝄪/gu, "x").replace(/[^\x20-\x7e\u00a0-\u00ff•—–]/gu, "?");
+  }
+
+  function pdfFileId(text) {
+    let out = "";
+    for (let round = 0; round < 4; round++) {
+      let h = (0x811c9dc5 ^ round) >>> 0;
+      for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193) >>> 0;
+      out += h.toString(16).padStart(8, "0");
     }
+    return out.toUpperCase();
+  }
 
-    const correctMap = new Map();
-    for (const p of correctPitches) correctMap.set(p, "ok");
+  function newPdfDocument(title) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4", compress: true });
+    pdf.setProperties({ title, creator: "Triads" });
+    // Day precision, like the "Created On" line, so rebuilding the same quiz later that day gives identical bytes.
+    const created = (state.createdOn || new Date(0)).toISOString().replace(/\D/g, "").slice(0, 8);
+    pdf.setCreationDate?.(`D:${created}000000+00'00'`);
+    pdf.setFileId?.(pdfFileId(`${title}|${state.quizCode}|${state.seed}`));
+    return pdf;
+  }
 
-    const answeredMountId = `${q.id}-mini-answered`; const correctMountId = `${q.id}-mini-correct`;
+  function setPdfFont(pdf, size, bold = false, gray = 0) {
+    pdf.setFont("helvetica", bold ? "bold" : "normal"); pdf.setFontSize(size); pdf.setTextColor(gray);
+  }
 
-    const answeredBlock = makeMiniKeyboardBlock({
-      title: "Your answered notes", mountId: answeredMountId, btnText: "Play Answered Notes",
-      onPlay: async () => { const toPlay = answeredPitches.length ? answeredPitches : correctPitches; await playPitchesWindowed(toPlay, 1.6); },
-    });
-    const correctBlock = makeMiniKeyboardBlock({
-      title: "Correct notes", mountId: correctMountId, btnText: "Play Correct Notes",
-      onPlay: async () => { await playPitchesWindowed(correctPitches, 1.6); },
-    });
+  function drawPdfKeyboard(pdf, kbd, x, y, w) {
+    const geo = keyboardGeometry(kbd);
+    const k = w / geo.outerW;
+    const shaded = new Set(kbd.shaded || []);
+    pdf.setDrawColor(0); pdf.setFillColor(255); pdf.setLineWidth(geo.border * k);
+    pdf.roundedRect(x + (geo.border / 2) * k, y + (geo.border / 2) * k, (geo.outerW - geo.border) * k, (geo.outerH - geo.border) * k, geo.radius * k, geo.radius * k, "FD");
+    pdf.setLineWidth(0.5);
+    for (const key of [...geo.whites, ...geo.blacks]) {
+      pdf.setFillColor(shaded.has(key.pitch) ? 212 : 255);
+      if (key.black) pdf.roundedRect(x + key.x * k, y + key.y * k, key.w * k, key.h * k, 3 * k, 3 * k, "FD");
+      else pdf.rect(x + key.x * k, y + key.y * k, key.w * k, key.h * k, "FD");
+    }
+    return geo.outerH * k;
+  }
 
-    row.appendChild(answeredBlock); row.appendChild(correctBlock); fb.appendChild(row);
+  // Staves are drawn with the on-screen geometry, scaled so one staff space is PDF_STAFF_SPACE points.
+  const PDF_STAFF_SPACE = 5;
 
-    const chosenText = answeredPcs.map((pc) => (pc == null ? "—" : noteLabelForPc(pc))).join(", ");
-    const correctText = pcsToPretty(correctPcs);
-    const line = document.createElement("div"); line.className = "qAnswerLine";
-    const okClass = q.marks === 3 ? "ok" : q.marks === 0 ? "bad" : "";
+  function pdfStaffGeometry(staff, w, k) {
+    const bottom = CLEFS[staff.clef].bottomStep; const spacePt = PDF_STAFF_SPACE * k;
+    const geo = staffGeometry({ clef: staff.clef, notes: staff.notes, lo: bottom - 4, hi: bottom + 12, widthSpaces: w / spacePt });
+    return { geo, scale: spacePt / STAFF_GEOMETRY.space };
+  }
 
-    line.innerHTML = `<span class="${okClass}">Marks: <strong>${q.marks} / 3</strong></span><br>You chose: <strong>${chosenText}</strong><br>Correct: <strong>${correctText}</strong>`;
+  function drawPdfGlyph(pdf, glyph, gx, gy, u) {
+    for (const part of glyph) {
+      if (part.dot) { pdf.circle(gx + part.dot[0] * u, gy + part.dot[1] * u, part.r * u, "F"); continue; }
+      pdf.setLineWidth(part.w * u);
+      for (const [op, ...v] of part.d) {
+        const pts = v.map((n, i) => (i % 2 ? gy : gx) + n * u);
+        if (op === "M") pdf.moveTo(...pts); else if (op === "L") pdf.lineTo(...pts); else pdf.curveTo(...pts);
+      }
+      pdf.stroke();
+    }
+  }
 
-    if (state.inputMode === INPUT_MODE.KEYBOARD && q.selectedPitches?.length === 3 && q.octaveError) {
-      const warn = document.createElement("div"); warn.className = "qAnswerLine bad";
-      warn.textContent = "Note: for full marks the chord must fit within a single octave (root position).";
-      fb.appendChild(warn);
+  function drawPdfStaff(pdf, staff, x, y, w, k) {
+    const { geo, scale } = pdfStaffGeometry(staff, w, k);
+    const u = STAFF_GEOMETRY.space * scale;
+    pdf.setDrawColor(0); pdf.setFillColor(0); pdf.setLineWidth(0.6);
+    for (const l of [...geo.lines, ...geo.ledgers]) pdf.line(x + l.x1 * scale, y + l.y * scale, x + l.x2 * scale, y + l.y * scale);
+    pdf.setLineCap("round");
+    drawPdfGlyph(pdf, geo.clefGlyph.glyph, x + geo.clefGlyph.x * scale, y + geo.clefGlyph.y * scale, u);
+    geo.accidentals.forEach((a) => drawPdfGlyph(pdf, a.glyph, x + a.x * scale, y + a.y * scale, u));
+    pdf.setLineCap("butt");
+    pdf.setLineWidth(u * 0.2);
+    for (const h of geo.heads) pdf.ellipse(x + h.x * scale, y + h.y * scale, u * STAFF_GEOMETRY.headW * 0.45, u * 0.4, "S");
+    return geo.height * scale;
+  }
+
+  const PDF_ITEM_PAD = 6;
+  const PDF_BOX_H = 28;
+
+  // Item metrics at scale k (1 = full size); pages shrink their items until every row fits.
+  function pdfItemMetrics(k) {
+    return { pad: PDF_ITEM_PAD * k, title: 9 * k, titleLine: 11 * k, note: 8.5 * k, noteLine: 10.5 * k, boxH: PDF_BOX_H * k, gap: 4 * k };
+  }
+
+  function pdfItemHeight(pdf, item, w, k = 1) {
+    const mt = pdfItemMetrics(k); const inner = w - mt.pad * 2;
+    setPdfFont(pdf, mt.title, true);
+    let h = mt.pad * 2 + pdf.splitTextToSize(pdfText(item.title), inner).length * mt.titleLine;
+    if (item.keyboard) { const geo = keyboardGeometry(item.keyboard); h += mt.gap + inner * k * (geo.outerH / geo.outerW); }
+    if (item.staff) { const { geo, scale } = pdfStaffGeometry(item.staff, inner, k); h += mt.gap + geo.height * scale; }
+    if (item.boxes) h += mt.gap + mt.boxH;
+    if (item.notes) {
+      setPdfFont(pdf, mt.note);
+      for (const n of item.notes) h += pdf.splitTextToSize(pdfText(`${n.label}: ${n.value}`), inner).length * mt.noteLine;
+      h += 2 * k;
     }
-    fb.appendChild(line);
+    return h;
+  }
 
-    const answeredMount = $(answeredMountId); const correctMount = $(correctMountId);
-    if (answeredMount) {
-      answeredMount.innerHTML = "";
-      answeredMount.appendChild(buildKeyboardSvg({ startPitch: miniStartPitch, octaves: MINI_KBD_OCTAVES, includeEndC: MINI_KBD_INCLUDE_END_C, widthPx: 520, heightPx: 120, interactive: false, ariaLabel: "Answered notes keyboard", highlight: answeredMap }));
+  function drawPdfItem(pdf, item, x, y, w, h, k = 1) {
+    const mt = pdfItemMetrics(k); const inner = w - mt.pad * 2;
+    pdf.setDrawColor(200); pdf.setLineWidth(0.75); pdf.roundedRect(x, y, w, h, 8, 8, "S");
+    let cy = y + mt.pad;
+    setPdfFont(pdf, mt.title, true);
+    for (const line of pdf.splitTextToSize(pdfText(item.title), inner)) { pdf.text(line, x + mt.pad, cy + mt.title * 0.95); cy += mt.titleLine; }
+    if (item.keyboard) {
+      const kw = inner * k;
+      cy += mt.gap + drawPdfKeyboard(pdf, item.keyboard, x + mt.pad + (inner - kw) / 2, cy + mt.gap, kw);
     }
-    if (correctMount) {
-      correctMount.innerHTML = "";
-      correctMount.appendChild(buildKeyboardSvg({ startPitch: miniStartPitch, octaves: MINI_KBD_OCTAVES, includeEndC: MINI_KBD_INCLUDE_END_C, widthPx: 520, heightPx: 120, interactive: false, ariaLabel: "Correct notes keyboard", highlight: correctMap }));
+    if (item.staff) cy += mt.gap + drawPdfStaff(pdf, item.staff, x + mt.pad, cy + mt.gap, inner, k);
+    if (item.boxes) {
+      const bw = (inner - mt.gap * (item.boxes.length - 1)) / item.boxes.length;
+      item.boxes.forEach((box, i) => {
+        const bx = x + mt.pad + i * (bw + mt.gap); const by = cy + mt.gap; const base = by + mt.boxH - 6 * k;
+        pdf.setDrawColor(190); pdf.setLineWidth(0.75); pdf.roundedRect(bx, by, bw, mt.boxH, 6 * k, 6 * k, "S");
+        setPdfFont(pdf, 7 * k, true); const label = `${pdfText(box.label)}:`; pdf.text(label, bx + 5 * k, base);
+        if (box.answer != null) { setPdfFont(pdf, 9.5 * k, true); pdf.text(pdfText(box.answer), bx + bw - 5 * k, base, { align: "right" }); }
+        else {
+          const from = bx + 8 * k + pdf.getTextWidth(label); const to = bx + bw - 5 * k;
+          pdf.setDrawColor(150); pdf.setLineWidth(0.6); pdf.setLineDashPattern([0.6, 2], 0);
+          if (to > from) pdf.line(from, base, to, base);
+          pdf.setLineDashPattern([], 0);
+        }
+      });
+      cy += mt.gap + mt.boxH;
+    }
+    if (item.notes) {
+      setPdfFont(pdf, mt.note, false, 40);
+      for (const n of item.notes) {
+        for (const line of pdf.splitTextToSize(pdfText(`${n.label}: ${n.value}`), inner)) { pdf.text(line, x + mt.pad, cy + mt.note); cy += mt.noteLine; }
+      }
     }
   }
 
-  function markAll() {
-    state.submitted = true; setSelectDisabledAll(true); submitBtn.disabled = true; inputModeBtn.disabled = true;
-    let total = 0; const max = state.questions.length * 3;
-
-    for (const q of state.questions) {
-      if (state.inputMode === INPUT_MODE.KEYBOARD) updateQuestionFromSelectedPitches(q);
-      const correct = q.correctPcs; const user = q.userPcs;
-      let marks = 0;
-      for (let i = 0; i < 3; i++) { if (user[i] != null && user[i] === correct[i]) marks += 1; }
-      if (state.inputMode === INPUT_MODE.KEYBOARD && q.selectedPitches?.length === 3 && q.octaveError) marks = 0;
-      q.marks = marks; total += marks;
-      const marksEl = $(`${q.id}-marks`); if (marksEl) marksEl.textContent = `${marks} / 3`;
-      renderMiniKeyboardsForQuestion(q);
-      if (state.inputMode === INPUT_MODE.KEYBOARD) {
-        const actions = $(`${q.id}-kbd-actions`); if (actions) actions.remove();
-        const mount = $(`${q.id}-kbd-mount`); if (mount) mount.remove();
-      }
+  function drawPdfPage(pdf, page, titleImage) {
+    const pageW = pdf.internal.pageSize.getWidth(); const pageH = pdf.internal.pageSize.getHeight();
+    const m = PDF_MARGIN_PT; const contentW = pageW - m * 2;
+    let y = m;
+    if (titleImage) {
+      const w = contentW * 0.92; const h = (w * titleImage.height) / titleImage.width;
+      pdf.addImage(titleImage.data, "PNG", (pageW - w) / 2, y, w, h, "sheetTitle", "FAST"); y += h + 14;
+    } else {
+      setPdfFont(pdf, 22, true); pdf.text("Root Position Triads", pageW / 2, y + 22, { align: "center" }); y += 36;
+    }
+    const centered = (text, size, bold, gap, gray = 0) => {
+      if (!text) return;
+      setPdfFont(pdf, size, bold, gray);
+      for (const line of pdf.splitTextToSize(pdfText(text), contentW)) { pdf.text(line, pageW / 2, y + size, { align: "center" }); y += size * 1.25; }
+      y += gap;
+    };
+    centered(page.heading, 15, true, 6);
+    centered(page.meta, 8.5, true, 6, 70);
+    centered(page.hint, 8.5, true, 10);
+
+    if (page.summary) {
+      const h = 16 + page.summary.length * 13;
+      pdf.setDrawColor(200); pdf.setLineWidth(0.75); pdf.roundedRect(m, y, contentW, h, 8, 8, "S");
+      setPdfFont(pdf, 10, true);
+      page.summary.forEach((line, i) => pdf.text(pdfText(line), m + 8, y + 18 + i * 13));
+      y += h + 10;
     }
 
-    resultsSummary.innerHTML = `Total: <strong>${total} / ${max}</strong><br>Percentage: <strong>${Math.round((total / max) * 1000) / 10}%</strong>`;
-    resultsPanel.classList.remove("hidden"); downloadScorecardBtn.disabled = false;
-    window.__triadsSendHeight?.();
+    const colGap = 10; const colW = (contentW - colGap) / 2; const rowGap = 8;
+    const rows = chunkArray(page.items, 2);
+    const available = pageH - m - (page.footer ? 14 : 0) - y;
+    const layout = (k) => rows.map((row) => Math.max(...row.map((item) => pdfItemHeight(pdf, item, colW, k))));
+    let k = 1; let heights = layout(k);
+    while (k > 0.6 && heights.reduce((a, h) => a + h + rowGap, 0) > available) { k -= 0.04; heights = layout(k); }
+    rows.forEach((row, r) => {
+      row.forEach((item, c) => drawPdfItem(pdf, item, m + c * (colW + colGap), y, colW, heights[r], k));
+      y += heights[r] + rowGap;
+    });
+
+    if (page.footer) { setPdfFont(pdf, 8, false, 90); pdf.text(pdfText(page.footer), pageW / 2, pageH - m, { align: "center" }); }
   }
 
-  function addCanvasToPdfPageCentered({ canvas, pdf, marginPt }) {
-    const pageW = pdf.internal.pageSize.getWidth(); const pageH = pdf.internal.pageSize.getHeight();
-    const usableW = pageW - marginPt * 2; const usableH = pageH - marginPt * 2;
-    const scale = Math.min(usableW / canvas.width, usableH / canvas.height);
-    const drawW = canvas.width * scale; const drawH = canvas.height * scale;
-    pdf.addImage(canvas.toDataURL("image/png"), "PNG", (pageW - drawW) / 2, (pageH - drawH) / 2, drawW, drawH);
+  async function renderPdfPages({ pages, title }) {
+    const pdf = newPdfDocument(title);
+    const titleImage = await loadPdfImage("images/titledownload.png");
+    pages.forEach((page, i) => { if (i > 0) pdf.addPage("a4", "portrait"); drawPdfPage(pdf, page, titleImage); });
+    return pdf;
   }
 
-  async function renderHtmlPagesToPdf({ hostEl, pages, filename }) {
-    const { jsPDF } = window.jspdf; const pdf = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4" });
-    hostEl.innerHTML = ""; hostEl.classList.remove("hidden");
-    for (let i = 0; i < pages.length; i++) {
-      hostEl.innerHTML = ""; hostEl.appendChild(pages[i]);
-      await new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)));
-      const canvas = await window.html2canvas(hostEl, { scale: 2, backgroundColor: "#ffffff", useCORS: true });
-      if (i > 0) pdf.addPage("a4", "portrait");
-      addCanvasToPdfPageCentered({ canvas, pdf, marginPt: PDF_MARGIN_PT });
-    }
-    pdf.save(filename); hostEl.classList.add("hidden"); hostEl.innerHTML = "";
+  async function savePdfPages({ pages, title, filename }) {
+    (await renderPdfPages({ pages, title })).save(filename);
   }
 
-  function buildTaskSheetPages() {
-    const totalQ = state.questions.length;
-    const limit = state.inputMode === INPUT_MODE.KEYBOARD ? TASK_Q_PER_PAGE_KBD : TASK_Q_PER_PAGE_DROPDOWN;
-    const chunks = chunkArray(state.questions, limit);
+  // Keyboard and staff quizzes print a keyboard or a blank staff per question; the rest print dotted lines.
+  function taskSheetDiagram() {
+    if (state.questionType === QUESTION_TYPE.LISTEN) return null;
+    return { keyboard: "keyboard", mic: "keyboard", staff: "staff" }[state.inputMode] || null;
+  }
 
-    return chunks.map((chunk, pageIndex) => {
-      const page = document.createElement("div"); 
-      page.className = "printPage";
-      page.style.position = "relative";
-
-      const titleImg = document.createElement("img"); titleImg.className = "sheetTitleImage"; titleImg.src = "images/titledownload.png"; titleImg.alt = "Root Position Triads";
-      const title = document.createElement("div"); title.className = "sheetTitle"; title.textContent = "Name: .........................................        Date: ...................";
-      const list = document.createElement("ol"); list.className = "sheetList";
-
-      if (state.inputMode === INPUT_MODE.DROPDOWN) {
-        chunk.forEach((q, localIdx) => {
-          const item = document.createElement("li"); item.className = "sheetQ";
-          const qname = document.createElement("div"); qname.className = "sheetQName"; qname.textContent = `${pageIndex * limit + localIdx + 1}. ${chordName(q.rootPc, q.quality)}`;
-          const row = document.createElement("div"); row.className = "sheetLineRow";
-          const labels = ["1st (root)", "3rd", "5th"];
-          for (const lab of labels) {
-            const box = document.createElement("div"); box.className = "sheetLine";
-            box.innerHTML = `<span>${lab}:</span> <span class="dots">............................</span>`;
-            row.appendChild(box);
-          }
-          item.appendChild(qname); item.appendChild(row); list.appendChild(item);
-        });
-      } else {
-        const printStartPitch = pitchFromPcOct(0, TASK_KBD_START_OCT);
-        chunk.forEach((q, localIdx) => {
-          const item = document.createElement("li"); item.className = "sheetQ";
-          const qname = document.createElement("div"); qname.className = "sheetQName"; qname.textContent = `${pageIndex * limit + localIdx + 1}. ${chordName(q.rootPc, q.quality)}`;
-          const kbdBox = document.createElement("div"); kbdBox.className = "sheetKbd";
-          const mount = document.createElement("div"); mount.className = "mount";
-          mount.appendChild(buildKeyboardSvg({
-            startPitch: printStartPitch, octaves: TASK_KBD_OCTAVES, includeEndC: TASK_KBD_INCLUDE_END_C,
-            widthPx: 700, heightPx: 150, interactive: false, ariaLabel: "Printable keyboard",
-            theme: { frameFill: "#fff", whiteFill: "#fff", whiteStroke: "#000", blackFill: "#fff", blackStroke: "#000" }
-          }));
-          kbdBox.appendChild(mount); item.appendChild(qname); item.appendChild(kbdBox); list.appendChild(item);
-        });
-      }
+  function sheetBoxes(labels, answers = null) {
+    return labels.map((label, i) => ({ label, answer: answers ? answers[i] ?? "" : null }));
+  }
 
-      page.appendChild(titleImg); page.appendChild(title); 
-      const hint = document.createElement("div"); hint.className = "sheetHint"; 
-      hint.textContent = state.inputMode === INPUT_MODE.KEYBOARD ? "Colour in / mark the 3 notes of the correct chord on the keyboards for each question." : "Write the correct notes on the dotted lines for each question.";
-      page.appendChild(hint); 
-      page.appendChild(list); 
+  function answerKeyValuesFor(q) {
+    if (!isNamingQuestion(q)) return correctLabelsFor(q);
+    const root = q.kind === QUESTION_TYPE.NAME && q.rootSpell ? spelledLabel(q.rootSpell) : noteLabelForPc(q.rootPc);
+    return q.nameRoot ? [chordType(q.quality).label, root] : [chordType(q.quality).label];
+  }
 
-      const footer = document.createElement("div");
-      footer.style.cssText = "position: absolute; bottom: 0px; left: 0; right: 0; text-align: center; font-size: 12px; opacity: 0.8;";
-      footer.textContent = `${totalQ} questions • Page ${pageIndex + 1} / ${chunks.length}`;
-      page.appendChild(footer);
+  function taskSheetHint(diagram) {
+    if (state.questionType === QUESTION_TYPE.LISTEN) return "Listen to each chord as it is played and write what you hear on the dotted lines.";
+    if (state.questionType === QUESTION_TYPE.NAME) return "Write the quality and root of the chord made by the notes in each question.";
+    const notesHint = {
+      keyboard: "Colour in / mark the notes of the correct chord on the keyboards",
+      staff: "Draw the notes of the correct chord, with any accidentals, on the staves",
+    }[diagram] || "Write the correct notes on the dotted lines";
+    if (state.questionType === QUESTION_TYPE.MIXED) return `${notesHint} for each named chord, and name the chord where the notes are given.`;
+    return `${notesHint} for each question.`;
+  }
 
-      return page;
-    });
+  // With answers: true the pages keep the worksheet's numbering and pagination, with every answer filled in.
+  function buildTaskSheetPages({ answers = false } = {}) {
+    const totalQ = state.questions.length;
+    const diagram = taskSheetDiagram();
+    const limit = diagram ? TASK_Q_PER_PAGE_KBD : TASK_Q_PER_PAGE_DROPDOWN;
+    const chunks = chunkArray(state.questions, limit);
+    const code = state.quizCode ? ` • Quiz code: ${state.quizCode}` : "";
+
+    return chunks.map((chunk, pageIndex) => ({
+      heading: answers ? "Answer Key" : "Name: .........................................        Date: ...................",
+      meta: state.quizFile?.title ?? null,
+      hint: answers ? "Answer key: the correct answer to every question is filled in, shaded or drawn." : state.quizFile?.instructions || taskSheetHint(diagram),
+      footer: `${totalQ} questions • Page ${pageIndex + 1} / ${chunks.length}${code}`,
+      items: chunk.map((q, localIdx) => {
+        const num = pageIndex * limit + localIdx + 1;
+        const filled = answers ? answerKeyValuesFor(q) : null;
+        if (!diagram) {
+          const shownNotes = q.kind === QUESTION_TYPE.NAME ? `: ${correctLabelsFor(q).join(", ")}` : "";
+          return { title: `${num}. ${questionTitle(q, { reveal: false })}${shownNotes}`, boxes: sheetBoxes(answerLabelsFor(q), filled) };
+        }
+        const shade = q.kind === QUESTION_TYPE.NAME || answers;
+        return {
+          title: `${num}. ${questionTitle(q, { reveal: false })}`,
+          keyboard: diagram === "keyboard" ? {
+            startPitch: pitchFromPcOct(0, TASK_KBD_START_OCT), octaves: TASK_KBD_OCTAVES, includeEndC: TASK_KBD_INCLUDE_END_C,
+            shaded: shade ? stackedPitchesFromPcs(q.correctPcs, TASK_KBD_START_OCT) : [],
+          } : null,
+          staff: diagram === "staff" ? { clef: "treble", notes: shade ? chordStaffNotes(q, "treble") : [] } : null,
+          boxes: q.kind === QUESTION_TYPE.NAME ? sheetBoxes(answerLabelsFor(q), filled) : null,
+        };
+      }),
+    }));
   }
 
   async function downloadTaskSheetPdf() {
     if (!state.started || !state.questions.length) return;
     const fileStamp = new Date().toISOString().slice(0, 10);
-    await renderHtmlPagesToPdf({ hostEl: taskSheetTemplate, pages: buildTaskSheetPages(), filename: `Triads Task Sheet (${fileStamp}).pdf` });
+    const pages = buildTaskSheetPages().concat(bundleAnswerKeyCheck?.checked ? buildTaskSheetPages({ answers: true }) : []);
+    await savePdfPages({ pages, title: "Triads Task Sheet", filename: `Triads Task Sheet (${fileStamp}).pdf` });
+  }
+
+  async function downloadAnswerKeyPdf() {
+    if (!state.started || !state.questions.length) return;
+    const fileStamp = new Date().toISOString().slice(0, 10);
+    await savePdfPages({ pages: buildTaskSheetPages({ answers: true }), title: "Triads Answer Key", filename: `Triads Answer Key (${fileStamp}).pdf` });
   }
 
   function escapeHtml(s) { return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;" }[c])); }
 
   function buildScorecardPages(playerName, total, max) {
     const loadedAt = state.createdOnText ? `Created On: ${state.createdOnText}` : "";
+    const code = state.quizCode ? ` • Quiz code: ${state.quizCode}` : "";
     const totalQ = state.questions.length;
     const chunks = chunkArray(state.questions, 24);
 
-    return chunks.map((chunk, pageIndex) => {
-      const page = document.createElement("div"); page.className = "printPage";
-      const titleImg = document.createElement("img"); titleImg.className = "sheetTitleImage"; titleImg.src = "images/titledownload.png"; titleImg.alt = "Root Position Triads";
-      const title = document.createElement("div"); title.className = "sheetTitle"; title.textContent = "Root Position Triads — Scorecard";
-      const meta = document.createElement("div"); meta.className = "sheetMeta"; meta.textContent = `${loadedAt ? loadedAt + " • " : ""}${totalQ} questions • Page ${pageIndex + 1} / ${chunks.length}`;
-      page.appendChild(titleImg); page.appendChild(title); page.appendChild(meta);
-
-      if (pageIndex === 0) {
-        const top = document.createElement("div"); top.className = "sheetQ";
-        top.style.marginBottom = "10px";
-        top.innerHTML = `<div class="sheetQName">Name: ${escapeHtml(playerName)}</div><div style="font-weight:900;">Score: ${total} / ${max} (${Math.round((total / max) * 1000) / 10}%)</div>`;
-        page.appendChild(top);
-      }
-
-      const list = document.createElement("ol"); list.className = "sheetList";
-      const startIdx = pageIndex * 24;
-      chunk.forEach((q, localIdx) => {
-        const idx = startIdx + localIdx;
-        const item = document.createElement("li"); item.className = "sheetQ";
-        const chosen = q.userPcs.map((pc) => (pc == null ? "—" : noteLabelForPc(pc))).join(", ");
-        const correct = pcsToPretty(q.correctPcs);
-
-        item.innerHTML = `
-          <div class="sheetQName">${idx + 1}. ${chordName(q.rootPc, q.quality)} — ${q.marks} / 3</div>
-          <div style="font-weight:800; font-size:12px; opacity:.9; line-height:1.45;">
-            Your answer: <strong>${escapeHtml(chosen)}</strong><br>
-            Correct: <strong>${escapeHtml(correct)}</strong>
-          </div>`;
-        list.appendChild(item);
-      });
-      page.appendChild(list); return page;
-    });
+    return chunks.map((chunk, pageIndex) => ({
+      heading: `${state.quizFile?.title ?? "Root Position Triads"} — Scorecard`,
+      meta: `${loadedAt ? loadedAt + " • " : ""}${totalQ} questions • Page ${pageIndex + 1} / ${chunks.length}${code}`,
+      summary: pageIndex === 0 ? [
+        `Name: ${playerName}`, `Score: ${total} / ${max} (${Math.round((total / max) * 1000) / 10}%)`, `Time taken: ${formatDuration(timeTakenSec())}`,
+        ...(state.challenge === CHALLENGE.OFF ? [] : [`Challenge: ${challengeDescription()}`]),
+        ...(state.challenge === CHALLENGE.STREAK ? [`Streak: ${state.streak} (best: ${bestStreak()})`] : []),
+      ] : null,
+      items: chunk.map((q, localIdx) => {
+        const spellingNotes = spellingFeedbackFor(q);
+        const notes = [{ label: "Your answer", value: chosenTextFor(q) }, { label: "Correct", value: correctTextFor(q) }];
+        if (spellingNotes.length) notes.push({ label: "Right pitch, wrong spelling", value: spellingNotes.join("; ") });
+        return { title: `${pageIndex * 24 + localIdx + 1}. ${questionTitle(q)} — ${q.marks} / ${questionMaxMarks(q)}`, notes };
+      }),
+    }));
   }
 
   async function downloadScorecardPdf() {
     if (!state.submitted) { alert("Submit your answers first, then download the scorecard."); return; }
-    const prev = localStorage.getItem("triads_player_name") || "";
+    const prev = state.playerName || localStorage.getItem(PLAYER_NAME_KEY) || "";
     const name = (window.prompt("Enter your name for the scorecard:", prev) ?? "").trim();
     const playerName = name || "Player";
-    if (name) localStorage.setItem("triads_player_name", name);
+    if (name) localStorage.setItem(PLAYER_NAME_KEY, name);
     const total = state.questions.reduce((a, q) => a + (q.marks || 0), 0);
-    const max = state.questions.length * 3;
+    const max = state.questions.reduce((a, q) => a + questionMaxMarks(q), 0);
     const fileStamp = new Date().toISOString().slice(0, 10);
-    await renderHtmlPagesToPdf({ hostEl: scorecardTemplate, pages: buildScorecardPages(playerName, total, max), filename: `Triads Scorecard (${playerName}) (${fileStamp}).pdf` });
+    await savePdfPages({ pages: buildScorecardPages(playerName, total, max), title: "Triads Scorecard", filename: `Triads Scorecard (${playerName}) (${fileStamp}).pdf` });
+  }
+
+  function initPlayerName() {
+    if (playerNameInput) {
+      try { playerNameInput.value = localStorage.getItem(PLAYER_NAME_KEY) || ""; } catch {}
+    }
+    updatePlayerOptions();
+  }
+
+  async function playTopKeyboardPitch(pitch, groupEl) {
+    state.qwertyQid = null;
+    await resumeAudioIfNeeded(); stopAllNotes(0.02); await playPitchesWindowed([pitch], 0.9); flashKeyGroup(groupEl, 260);
   }
 
   function initTopKeyboard() {
     topKeyboardMount.innerHTML = "";
     topKeyboardMount.appendChild(buildKeyboardSvg({
-      startPitch: pitchFromPcOct(0, KBD_START_OCT), octaves: KBD_OCTAVES, widthPx: 1100, heightPx: 220, interactive: true, ariaLabel: "Interactive three-octave keyboard (C3..B5)",
-      onKeyDown: async (pitch, groupEl) => { await resumeAudioIfNeeded(); stopAllNotes(0.02); await playPitchesWindowed([pitch], 0.9); flashKeyGroup(groupEl, 260); },
+      startPitch: pitchFromPcOct(0, KBD_START_OCT), octaves: KBD_OCTAVES, widthPx: 1100, heightPx: 220, interactive: true, ariaLabel: "Reference keyboard, C3 to B5: use arrow keys to move, Enter or Space to play",
+      onKeyDown: playTopKeyboardPitch,
     }));
   }
 
+  // -------------------- Offline (service worker) --------------------
+  function setOfflineStatus(text, kind = "") {
+    if (!offlineStatus) return;
+    offlineStatus.textContent = text; offlineStatus.className = `offlineStatus ${kind}`.trim();
+  }
+
+  function initOfflineSupport() {
+    if (!offlineStatus || !("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    const sw = navigator.serviceWorker;
+    const hadController = !!sw.controller;
+    setOfflineStatus("Preparing offline use…", "pending");
+    sw.addEventListener("message", (e) => {
+      if (e.data?.type !== "triads:cacheStatus") return;
+      if (e.data.cached >= e.data.total) setOfflineStatus("✓ Ready for offline use", "ready");
+      else setOfflineStatus(`Preparing offline use… (${e.data.cached} / ${e.data.total} files)`, "pending");
+    });
+    sw.addEventListener("controllerchange", () => {
+      if (hadController) setOfflineStatus("A new version is ready - click to reload", "update");
+      else sw.ready.then((reg) => reg.active?.postMessage({ type: "triads:cacheStatus" }));
+    });
+    offlineStatus.addEventListener("click", () => { if (offlineStatus.classList.contains("update")) window.location.reload(); });
+    sw.startMessages?.();
+    sw.register("sw.js")
+      .then(() => sw.ready)
+      .then((reg) => reg.active?.postMessage({ type: "triads:cacheStatus" }))
+      .catch(() => setOfflineStatus("Offline use is not available in this browser", ""));
+  }
+
+  // -------------------- Computer-keyboard piano --------------------
+  function syncQwertyOctaveLabel() {
+    if (qwertyOctaveLabel) qwertyOctaveLabel.textContent = `C${state.qwertyOctave}`;
+  }
+
+  function qwertyTargetQuestion() {
+    if (!state.started || state.submitted || !PITCH_INPUT_MODES.includes(state.inputMode)) return null;
+    const q = state.questions.find((x) => x.id === state.qwertyQid);
+    return q && $(`${q.id}-kbd-mount`) ? q : null;
+  }
+
+  function isTypingTarget(el) {
+    return !!el && (el.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName));
+  }
+
+  function handleQwertyKeydown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.repeat || isTypingTarget(e.target)) return;
+    if (document.querySelector(".modal:not(.hidden)")) return;
+    if (e.code === "KeyZ" || e.code === "KeyX") {
+      const next = state.qwertyOctave + (e.code === "KeyX" ? 1 : -1);
+      if (next < QWERTY_MIN_OCT || next > QWERTY_MAX_OCT) return;
+      e.preventDefault(); state.qwertyOctave = next; syncQwertyOctaveLabel(); announce(`Computer keyboard octave C${next}`);
+      return;
+    }
+    const semis = QWERTY_NOTE_CODES[e.code];
+    if (semis == null) return;
+    const pitch = pitchFromPcOct(0, state.qwertyOctave) + semis;
+    const q = qwertyTargetQuestion();
+    const mount = q ? $(`${q.id}-kbd-mount`) : topKeyboardMount;
+    const groupEl = mount.querySelector(`.key[data-pitch="${pitch}"]`);
+    if (!groupEl) return;
+    e.preventDefault();
+    if (q) toggleQuestionPitch(q, pitch, groupEl); else playTopKeyboardPitch(pitch, groupEl);
+  }
+
+  function trackQwertyTarget(e) {
+    const card = e.target.closest?.(".qCard");
+    if (card) state.qwertyQid = card.dataset.qid;
+    else if (topKeyboardMount.contains(e.target)) state.qwertyQid = null;
+  }
+
   function bindEvents() {
     questionCountSelect?.addEventListener("change", updatePageAdvice);
-    beginBtn.addEventListener("click", async () => { playUiSound("select1.mp3"); await resumeAudioIfNeeded(); startGame(); });
+    chordTypeChecks.forEach((c) => c.addEventListener("change", updateChordTypeSelection));
+    inversionChecks.forEach((c) => c.addEventListener("change", updateInversionSelection));
+    strictSpellingCheck?.addEventListener("change", updateStrictSpelling);
+    [questionTypeSelect, listenStyleSelect, listenReplaysSelect, listenNameRootCheck].forEach((el) => el?.addEventListener("change", updateListenOptions));
+    [challengeSelect, quizMinutesSelect, questionSecondsSelect, checkAsYouGoCheck].forEach((el) => el?.addEventListener("change", updateChallengeOptions));
+    challengeNextBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); advanceChallenge(); });
+    [chordSourceSelect, ...keyChecks].forEach((el) => el?.addEventListener("change", updateKeySelection));
+    playerNameInput?.addEventListener("input", updatePlayerOptions);
+    practiceWeakCheck?.addEventListener("change", updatePlayerOptions);
+    resetMasteryBtn?.addEventListener("click", () => {
+      if (!window.confirm(`Reset the practice record for ${masteryPlayer()}?`)) return;
+      playUiSound("back1.mp3"); resetMastery(); updatePlayerOptions();
+    });
+    resumeBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); resumeSession(); });
+    resumeNewBtn?.addEventListener("click", () => { playUiSound("back1.mp3"); discardSavedSession(); });
+    window.addEventListener("pagehide", saveSession);
+    beginBtn.addEventListener("click", async () => { playUiSound("select1.mp3"); await resumeAudioIfNeeded(); if (state.quizFile) startQuizFile(state.quizFile); else startGame(); });
+    quizFileLoadBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); pickQuizFile("begin"); });
+    quizFileRemoveBtn?.addEventListener("click", () => { playUiSound("back1.mp3"); setQuizFile(null); announce("Quiz file removed."); });
+    quizFileInput?.addEventListener("change", handleQuizFilePicked);
+    quizEditorBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); openQuizEditor(); });
+    quizEditorModal?.addEventListener("input", refreshQuizEditor);
+    quizEditorModal?.addEventListener("change", refreshQuizEditor);
+    qeAddChordBtn?.addEventListener("click", () => { addQuizEditorRow(); refreshQuizEditor(); qeChords.rows[qeChords.rows.length - 1]?.querySelector("select")?.focus(); });
+    $("qeOpenBtn")?.addEventListener("click", () => pickQuizFile("editor"));
+    $("qeDownloadBtn")?.addEventListener("click", downloadQuizEditorFile);
+    $("qeUseBtn")?.addEventListener("click", () => { playUiSound("select1.mp3"); useQuizEditorQuiz(); });
+    $("qeCloseBtn")?.addEventListener("click", () => { playUiSound("back1.mp3"); closeQuizEditor(); });
     infoBtn.addEventListener("click", () => { playUiSound("select1.mp3"); infoModal.classList.remove("hidden"); });
     infoOk.addEventListener("click", () => { playUiSound("back1.mp3"); infoModal.classList.add("hidden"); });
     infoModal.addEventListener("click", (e) => { if (e.target === infoModal) infoModal.classList.add("hidden"); });
+    historyBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); renderHistory(); historyModal.classList.remove("hidden"); });
+    historyCloseBtn?.addEventListener("click", () => { playUiSound("back1.mp3"); historyModal.classList.add("hidden"); });
+    historyModal?.addEventListener("click", (e) => { if (e.target === historyModal) historyModal.classList.add("hidden"); });
+    historyPlayerSelect?.addEventListener("change", renderHistory);
+    historyExportJsonBtn?.addEventListener("click", () => exportHistory("json"));
+    historyExportCsvBtn?.addEventListener("click", () => exportHistory("csv"));
+    historyClearBtn?.addEventListener("click", clearHistory);
+    soundSelect?.addEventListener("change", () => { setSoundMode(soundSelect.value); playUiSound("select1.mp3"); });
+    [playbackPatternSelect, playbackTempoSelect].forEach((el) => el?.addEventListener("change", () => { updatePlaybackSettings(); playUiSound("select1.mp3"); }));
     inputModeBtn.addEventListener("click", () => {
       if (!state.started || state.submitted) return;
       playUiSound("select1.mp3");
-      state.inputMode = state.inputMode === INPUT_MODE.DROPDOWN ? INPUT_MODE.KEYBOARD : INPUT_MODE.DROPDOWN;
-      syncInputModeBtnText(); updateKeyboardModeHint(); renderQuiz();
+      state.inputMode = INPUT_MODE_ORDER[(INPUT_MODE_ORDER.indexOf(state.inputMode) + 1) % INPUT_MODE_ORDER.length];
+      if (state.inputMode === INPUT_MODE.DROPDOWN) syncDropdownAnswers();
+      syncInputModeBtnText(); updateKeyboardModeHint(); renderQuiz(); syncQuizCode(); saveSession();
     });
     downloadTaskBtn.addEventListener("click", () => { playUiSound("select1.mp3"); downloadTaskSheetPdf(); });
+    downloadAnswerKeyBtn?.addEventListener("click", () => { playUiSound("select1.mp3"); downloadAnswerKeyPdf(); });
     downloadScorecardBtn.addEventListener("click", () => { playUiSound("select1.mp3"); downloadScorecardPdf(); });
     submitBtn.addEventListener("click", () => { if (!state.started || state.submitted) return; markAll(); });
-    resetBtn.addEventListener("click", () => { playUiSound("select1.mp3"); resetGameToInitial(); });
-    resetBtn2.addEventListener("click", () => { playUiSound("select1.mp3"); resetGameToInitial(); });
-    document.addEventListener("keydown", (e) => { if (e.key === "Escape" && !infoModal.classList.contains("hidden")) infoModal.classList.add("hidden"); });
+    resetBtn.addEventListener("click", () => { playUiSound("select1.mp3"); clearSession(); resetGameToInitial(); });
+    resetBtn2.addEventListener("click", () => { playUiSound("select1.mp3"); clearSession(); resetGameToInitial(); });
+    document.addEventListener("keydown", handleQwertyKeydown);
+    document.addEventListener("focusin", trackQwertyTarget);
+    document.addEventListener("pointerdown", trackQwertyTarget);
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      if (!infoModal.classList.contains("hidden")) infoModal.classList.add("hidden");
+      if (historyModal && !historyModal.classList.contains("hidden")) historyModal.classList.add("hidden");
+      if (quizEditorModal && !quizEditorModal.classList.contains("hidden")) closeQuizEditor();
+    });
   }
 
-  function init() { setupIframeAutoHeight(); initTopKeyboard(); bindEvents(); updatePageAdvice(); resetGameToInitial(); }
+  function init() { const link = { code: quizCodeFromUrl(), fileParam: quizFileParamFromUrl() }; setupIframeAutoHeight(); initTopKeyboard(); syncQwertyOctaveLabel(); bindEvents(); updatePageAdvice(); updateChordTypeSelection(); updateInversionSelection(); updateStrictSpelling(); updateListenOptions(); updateChallengeOptions(); initPlayerName(); initSoundMode(); initPlaybackSettings(); resetGameToInitial(); setupEmbedApi(); initLmsReporting(); renderQuizFileStatus(); startFromLink(link); initOfflineSupport(); window.setTimeout(preloadSamples, 300); }
   init();
 })();
\ No newline at end of file
@@ -0,0 +1,93 @@
+/* /sw.js */
+// Bump CACHE_VERSION whenever any precached file changes: the new worker precaches everything,
+// takes over, and deletes the caches left by older versions.
+const CACHE_VERSION = "v11";
+const CACHE_PREFIX = "triads-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const NOTE_STEMS = ["c", "csharp", "d", "dsharp", "e", "f", "fsharp", "g", "gsharp", "a", "asharp", "b"];
+const SAMPLE_OCTAVES = [2, 3, 4, 5];
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "style.css",
+  "script.js",
+  "pitch-detector.js",
+  "manifest.webmanifest",
+  "vendor/jspdf/jspdf.umd.min.js",
+  "quizzes/example.json",
+  "images/title.png",
+  "images/titlewrapped.png",
+  "images/questions.png",
+  "images/titledownload.png",
+  "images/logo.png",
+  "audio/select1.mp3",
+  "audio/back1.mp3",
+  "audio/correct1.mp3",
+  "audio/incorrect1.mp3",
+  "audio/c6.mp3",
+  ...SAMPLE_OCTAVES.flatMap((oct) => NOTE_STEMS.map((stem) => `audio/${stem}${oct}.mp3`)),
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// <audio> elements ask for byte ranges; answer them from the cached file so playback works offline everywhere.
+async function rangeResponse(request, response) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("range") || "");
+  if (!m) return response;
+  const blob = await response.blob();
+  const start = m[1] ? Number(m[1]) : Math.max(0, blob.size - Number(m[2]));
+  const end = m[1] && m[2] ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size || start > end) return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${blob.size}` } });
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("content-type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Quiz links carry ?quiz=..., so the app page is matched without its query string; other pages (lms-mock.html) are not.
+    const appPage = request.mode === "navigate" && /\/(index\.html)?$/.test(new URL(request.url).pathname);
+    const cached = appPage
+      ? await cache.match("index.html")
+      : await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+    if (cached) return request.headers.has("range") ? rangeResponse(request, cached) : cached;
+    const response = await fetch(request);
+    if (response.ok && response.status === 200 && !request.headers.has("range")) cache.put(request, response.clone());
+    return response;
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "triads:cacheStatus") {
+    event.waitUntil(
+      caches.open(CACHE_NAME)
+        .then((cache) => cache.keys())
+        .then((keys) => event.source?.postMessage({ type: "triads:cacheStatus", version: CACHE_VERSION, cached: keys.length, total: PRECACHE_URLS.length }))
+    );
+  }
+});